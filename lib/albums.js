@@ -0,0 +1,55 @@
+// Album items (Telegram media groups) arrive as separate updates, usually at
+// the same time, and only one of them carries the /upload caption. Each item
+// is added to its group in the "albums" document with one atomic update, so
+// none is lost to another update's write, and the pending post takes the whole
+// group, in message order, when it is saved.
+function byMessageId(a, b) {
+    return a.message_id - b.message_id;
+}
+
+function createAlbumBuffer(storage, { ttl = 30 * 60 * 1000 } = {}) {
+    function add(groupId, item) {
+        return storage.updateDocument('albums', {}, albums => {
+            const album = albums[groupId] || (albums[groupId] = { items: [] });
+            // Telegram may deliver an update twice
+            if (!album.items.some(i => i.message_id === item.message_id)) {
+                album.items.push(item);
+            }
+            album.updated_at = Date.now();
+        });
+    }
+
+    // Remove the group and resolve to its items, ordered by message_id
+    async function take(groupId) {
+        let items = [];
+        await storage.updateDocument('albums', {}, albums => {
+            if (albums[groupId]) items = albums[groupId].items;
+            delete albums[groupId];
+        });
+        return items.sort(byMessageId);
+    }
+
+    function discard(groupId) {
+        return storage.updateDocument('albums', {}, albums => {
+            delete albums[groupId];
+        });
+    }
+
+    // Drop groups no post claimed within the session TTL
+    async function sweep(now = Date.now()) {
+        const albums = await storage.readDocument('albums', {});
+        const expired = Object.keys(albums).filter(id => albums[id].updated_at + ttl <= now);
+        if (expired.length === 0) return [];
+
+        await storage.updateDocument('albums', {}, current => {
+            for (const id of expired) {
+                if (current[id] && current[id].updated_at + ttl <= now) delete current[id];
+            }
+        });
+        return expired;
+    }
+
+    return { add, take, discard, sweep };
+}
+
+module.exports = { createAlbumBuffer };
@@ -0,0 +1,202 @@
+// View analytics in time buckets, stored as one "analytics" document:
+//   hourly: { "2024-05-01T13": { total, posts: { [postId]: views } } }
+//   daily:  { "2024-05-01": { total, posts: { [postId]: views }, referrers: { [host]: views } } }
+// Bucket keys are UTC. Views are buffered and written in batches like the
+// view counter; old buckets are dropped on every write.
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const PERIODS = {
+    day: 1,
+    week: 7,
+    month: 30
+};
+
+function hourKey(time) {
+    return new Date(time).toISOString().slice(0, 13);
+}
+
+function dayKey(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function emptyDocument() {
+    return { hourly: {}, daily: {} };
+}
+
+function addCounts(target, source) {
+    for (const [key, count] of Object.entries(source || {})) {
+        target[key] = (target[key] || 0) + count;
+    }
+    return target;
+}
+
+function ranked(counts, limit, keyName) {
+    return Object.entries(counts)
+        .map(([key, views]) => ({ [keyName]: keyName === 'post_id' ? Number(key) : key, views }))
+        .sort((a, b) => b.views - a.views)
+        .slice(0, limit);
+}
+
+function createAnalytics(storage, {
+    flushInterval = 10 * 1000,
+    hourlyRetention = 7 * DAY,
+    dailyRetention = 400 * DAY
+} = {}) {
+    const DOCUMENT = 'analytics';
+    let pending = [];
+    let timer = null;
+    let flushing = null;
+
+    // Referrer URL -> host, with views from this site or no referrer as "direct"
+    function referrerHost(referrer, ownHost) {
+        try {
+            const host = new URL(referrer).hostname.replace(/^www\./, '');
+            return host && host !== ownHost ? host : 'direct';
+        } catch {
+            return 'direct';
+        }
+    }
+
+    function record(postId, { referrer, host } = {}) {
+        pending.push({
+            postId,
+            referrer: referrerHost(referrer, String(host || '').split(':')[0].replace(/^www\./, '')),
+            time: Date.now()
+        });
+    }
+
+    function prune(doc, now) {
+        const hourCutoff = hourKey(now - hourlyRetention);
+        const dayCutoff = dayKey(now - dailyRetention);
+        for (const key of Object.keys(doc.hourly)) {
+            if (key < hourCutoff) delete doc.hourly[key];
+        }
+        for (const key of Object.keys(doc.daily)) {
+            if (key < dayCutoff) delete doc.daily[key];
+        }
+    }
+
+    async function writeBatch() {
+        const batch = pending;
+        pending = [];
+
+        try {
+            await storage.updateDocument(DOCUMENT, emptyDocument(), doc => {
+                for (const { postId, referrer, time } of batch) {
+                    const hour = doc.hourly[hourKey(time)] ||= { total: 0, posts: {} };
+                    hour.total++;
+                    hour.posts[postId] = (hour.posts[postId] || 0) + 1;
+
+                    const day = doc.daily[dayKey(time)] ||= { total: 0, posts: {}, referrers: {} };
+                    day.total++;
+                    day.posts[postId] = (day.posts[postId] || 0) + 1;
+                    day.referrers[referrer] = (day.referrers[referrer] || 0) + 1;
+                }
+                prune(doc, Date.now());
+            });
+        } catch (error) {
+            console.error('Error writing analytics:', error);
+            // Keep the views for the next flush
+            pending = [...batch, ...pending];
+        }
+    }
+
+    async function flush() {
+        while (flushing) await flushing;
+        if (pending.length === 0) return;
+
+        flushing = writeBatch();
+        try {
+            await flushing;
+        } finally {
+            flushing = null;
+        }
+    }
+
+    async function load() {
+        await flush();
+        return storage.readDocument(DOCUMENT, emptyDocument());
+    }
+
+    // Views per bucket, oldest first, with empty buckets filled in.
+    // interval: "hour" (up to the hourly retention) or "day"; postId narrows to one post.
+    async function timeseries({ interval = 'day', count = 30, postId = null } = {}) {
+        const doc = await load();
+        const step = interval === 'hour' ? HOUR : DAY;
+        const buckets = interval === 'hour' ? doc.hourly : doc.daily;
+        const keyOf = interval === 'hour' ? hourKey : dayKey;
+        const now = Date.now();
+
+        const series = [];
+        for (let i = count - 1; i >= 0; i--) {
+            const key = keyOf(now - i * step);
+            const bucket = buckets[key];
+            const views = !bucket ? 0 : (postId ? bucket.posts[postId] || 0 : bucket.total);
+            series.push({ bucket: key, views });
+        }
+        return series;
+    }
+
+    // Sum the buckets of a period ("day" is the last 24 hours)
+    async function summarize(period = 'week', { offset = 0 } = {}) {
+        const doc = await load();
+        const now = Date.now();
+        const totals = { views: 0, posts: {}, referrers: {} };
+
+        if (period === 'day') {
+            for (let i = 0; i < 24; i++) {
+                const bucket = doc.hourly[hourKey(now - (offset * 24 + i) * HOUR)];
+                if (!bucket) continue;
+                totals.views += bucket.total;
+                addCounts(totals.posts, bucket.posts);
+            }
+            // Referrers are only kept per day
+            addCounts(totals.referrers, (doc.daily[dayKey(now - offset * DAY)] || {}).referrers);
+            return totals;
+        }
+
+        const days = Object.hasOwn(PERIODS, period) ? PERIODS[period] : PERIODS.week;
+        for (let i = 0; i < days; i++) {
+            const bucket = doc.daily[dayKey(now - (offset * days + i) * DAY)];
+            if (!bucket) continue;
+            totals.views += bucket.total;
+            addCounts(totals.posts, bucket.posts);
+            addCounts(totals.referrers, bucket.referrers);
+        }
+        return totals;
+    }
+
+    // Most viewed posts and top referrers of a period, with the previous
+    // period's total for comparison
+    async function top(period = 'week', { limit = 10 } = {}) {
+        const current = await summarize(period);
+        const previous = await summarize(period, { offset: 1 });
+
+        return {
+            period: Object.hasOwn(PERIODS, period) ? period : 'week',
+            views: current.views,
+            previous_views: previous.views,
+            posts: ranked(current.posts, limit, 'post_id'),
+            referrers: ranked(current.referrers, limit, 'referrer')
+        };
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(() => {
+            flush().catch(error => console.error('Error flushing analytics:', error));
+        }, flushInterval);
+        timer.unref();
+    }
+
+    async function stop() {
+        clearInterval(timer);
+        timer = null;
+        await flush();
+    }
+
+    return { record, flush, timeseries, top, start, stop };
+}
+
+module.exports = { createAnalytics, PERIODS };
@@ -0,0 +1,400 @@
+const path = require('path');
+const fs = require('fs').promises;
+const yazl = require('yazl');
+const yauzl = require('yauzl');
+const { uniqueTags, slugify } = require('./tags');
+
+// Zip archives of the whole collection, for moving between deploys:
+//   manifest.json   { format, version, exported_at, posts, documents: { stats, collections } }
+//   media/<id>      every media file the posts refer to (originals and variants)
+// Admins, sessions and analytics stay with the deploy they belong to.
+//
+// Archives can be far bigger than memory, so exports are streamed from the
+// media files and imports are read entry by entry from a file on disk.
+const ARCHIVE_FORMAT = 'my-collection-xix';
+const ARCHIVE_VERSION = 1;
+const MAX_MANIFEST_BYTES = 64 * 1024 * 1024;
+
+// Media ids a post refers to: its files, thumbnails and variants
+function mediaIdsOf(post) {
+    const ids = new Set();
+    for (const item of [post, ...(post.media || [])]) {
+        const urls = [item.media_url, item.thumbnail, ...Object.values(item.variants || {}).map(v => v && v.url)];
+        if (item.media_id) ids.add(item.media_id);
+        for (const url of urls) {
+            if (url && url.startsWith('/media/')) ids.add(path.basename(url));
+        }
+    }
+    return ids;
+}
+
+// Imported posts are rebuilt from these fields only; anything else in the
+// manifest is dropped. URLs are never taken from the archive: the gallery puts
+// them into attributes as they are, so they are rebuilt from media ids.
+const MEDIA_TYPES = ['image', 'video', 'gif', 'audio'];
+const POST_STATUSES = ['published', 'draft', 'scheduled'];
+const ITEM_STRING_FIELDS = ['mime_type', 'file_name', 'title', 'performer', 'telegram_file_id', 'telegram_thumb_file_id'];
+const ITEM_NUMBER_FIELDS = ['duration', 'width', 'height', 'file_size'];
+const POST_STRING_FIELDS = ['caption', 'description', 'author', 'media_group_id'];
+const POST_TIME_FIELDS = ['created_at', 'uploaded_at', 'published_at', 'publish_at', 'updated_at', 'deleted_at'];
+const POST_NUMBER_FIELDS = ['views', 'position'];
+
+function mediaUrl(id) {
+    return `/media/${id}`;
+}
+
+function isTime(value) {
+    return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+function isCount(value) {
+    return Number.isFinite(value) && value >= 0;
+}
+
+function stringList(value) {
+    return Array.isArray(value) ? value.filter(v => typeof v === 'string') : [];
+}
+
+// The media fields of a post or album item, or null when its file is not a
+// valid media id. isValidId checks ids against the media store's pattern.
+function sanitizeItem(item, isValidId) {
+    if (!item || !MEDIA_TYPES.includes(item.type) || !isValidId(item.media_id)) return null;
+
+    const clean = { type: item.type, media_id: item.media_id, media_url: mediaUrl(item.media_id) };
+    for (const field of ITEM_STRING_FIELDS) {
+        if (typeof item[field] === 'string') clean[field] = item[field];
+    }
+    for (const field of ITEM_NUMBER_FIELDS) {
+        if (isCount(item[field])) clean[field] = item[field];
+    }
+
+    clean.variants = {};
+    for (const [name, variant] of Object.entries(item.variants || {})) {
+        const id = variant && typeof variant.url === 'string' ? path.posix.basename(variant.url) : null;
+        if (!/^[a-z]+$/.test(name) || !isValidId(id) || variant.url !== mediaUrl(id)) continue;
+        clean.variants[name] = { url: mediaUrl(id) };
+        if (isCount(variant.width)) clean.variants[name].width = variant.width;
+        if (isCount(variant.height)) clean.variants[name].height = variant.height;
+    }
+
+    const thumbId = typeof item.thumbnail === 'string' ? path.posix.basename(item.thumbnail) : null;
+    clean.thumbnail = isValidId(thumbId) && item.thumbnail === mediaUrl(thumbId) ? mediaUrl(thumbId) : '';
+    return clean;
+}
+
+// An imported post with only known fields of the expected types, or null
+function sanitizePost(post, isValidId) {
+    if (!post || !Number.isInteger(post.id)) return null;
+    const first = sanitizeItem(post, isValidId);
+    if (!first) return null;
+
+    const clean = { id: post.id, ...first };
+    for (const field of POST_STRING_FIELDS) {
+        if (typeof post[field] === 'string') clean[field] = post[field];
+    }
+    for (const field of POST_TIME_FIELDS) {
+        if (isTime(post[field])) clean[field] = post[field];
+    }
+    for (const field of POST_NUMBER_FIELDS) {
+        if (isCount(post[field])) clean[field] = post[field];
+    }
+    clean.caption = clean.caption || 'Untitled Post';
+    clean.created_at = clean.created_at || new Date().toISOString();
+    clean.status = POST_STATUSES.includes(post.status) ? post.status : 'draft';
+    clean.tags = uniqueTags(stringList(post.tags));
+    clean.views = clean.views || 0;
+
+    if (Array.isArray(post.media)) {
+        const media = post.media.map(item => sanitizeItem(item, isValidId));
+        if (media.includes(null)) return null;
+        if (media.length > 1) clean.media = media;
+    }
+    if (post.reactions && typeof post.reactions === 'object') {
+        clean.reactions = {};
+        for (const [emoji, count] of Object.entries(post.reactions)) {
+            if (emoji.length <= 16 && Number.isInteger(count) && count > 0) clean.reactions[emoji] = count;
+        }
+    }
+    if (Array.isArray(post.edit_history)) {
+        clean.edit_history = post.edit_history
+            .filter(entry => entry && typeof entry.field === 'string' && isTime(entry.edited_at))
+            .map(entry => ({
+                field: entry.field,
+                before: Array.isArray(entry.before) ? stringList(entry.before) : String(entry.before ?? ''),
+                after: Array.isArray(entry.after) ? stringList(entry.after) : String(entry.after ?? ''),
+                editor: String(entry.editor ?? ''),
+                edited_at: entry.edited_at
+            }));
+    }
+    return clean;
+}
+
+// Only the fields a collection has, with a slug as the bot makes them
+function sanitizeCollection(collection) {
+    if (!collection || typeof collection.slug !== 'string') return null;
+    if (!collection.slug || slugify(collection.slug) !== collection.slug) return null;
+    if (!Array.isArray(collection.post_ids)) return null;
+    return {
+        slug: collection.slug,
+        title: typeof collection.title === 'string' ? collection.title : collection.slug,
+        description: typeof collection.description === 'string' ? collection.description : '',
+        created_at: isTime(collection.created_at) ? collection.created_at : new Date().toISOString(),
+        post_ids: collection.post_ids.filter(Number.isInteger)
+    };
+}
+
+// Latest time anything happened to a post
+function lastChange(post) {
+    return Math.max(...[post.created_at, post.published_at, post.updated_at, post.deleted_at]
+        .map(time => new Date(time || 0).getTime() || 0));
+}
+
+function invalidArchive(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_ARCHIVE';
+    return error;
+}
+
+function openZip(filePath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (error, zip) => {
+            if (error) reject(invalidArchive('Not a zip archive'));
+            else resolve(zip);
+        });
+    });
+}
+
+// Every entry of an open zip, without reading their contents
+function readEntries(zip) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        zip.on('entry', entry => {
+            entries.push(entry);
+            zip.readEntry();
+        });
+        zip.on('end', () => resolve(entries));
+        zip.on('error', () => reject(invalidArchive('The zip archive is damaged')));
+        zip.readEntry();
+    });
+}
+
+function openEntry(zip, entry) {
+    return new Promise((resolve, reject) => {
+        zip.openReadStream(entry, (error, stream) => {
+            if (error) reject(invalidArchive(`Cannot read ${entry.fileName}`));
+            else resolve(stream);
+        });
+    });
+}
+
+// maxEntryBytes: largest media file accepted from an import
+function createArchiver({ storage, mediaStore, maxEntryBytes = 200 * 1024 * 1024 }) {
+    // Resolves once the posts are read and the media files are found; the zip
+    // itself is built while `stream` is read. Media is stored uncompressed
+    // (it is compressed already), so `bytes` is close to the zip's size.
+    // With maxBytes, an export that would be bigger is refused before anything
+    // is built (code EXPORT_TOO_LARGE).
+    async function exportArchive({ maxBytes = Infinity } = {}) {
+        const posts = await storage.listPosts();
+
+        const ids = new Set(posts.flatMap(post => [...mediaIdsOf(post)]));
+        const files = [];
+        const missing = [];
+        for (const id of ids) {
+            const filePath = mediaStore.isValidId(id) ? mediaStore.resolve(id) : null;
+            const stat = filePath ? await fs.stat(filePath).catch(() => null) : null;
+            if (stat) {
+                files.push({ id, filePath, size: stat.size });
+            } else {
+                missing.push(id);
+            }
+        }
+
+        const manifest = Buffer.from(JSON.stringify({
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exported_at: new Date().toISOString(),
+            posts,
+            documents: {
+                stats: await storage.readDocument('stats', {}),
+                collections: await storage.readDocument('collections', [])
+            },
+            missing_media: missing
+        }, null, 2));
+
+        const bytes = manifest.length + files.reduce((sum, file) => sum + file.size, 0);
+        if (bytes > maxBytes) {
+            const error = new Error(`Export would be ${bytes} bytes, more than ${maxBytes}`);
+            error.code = 'EXPORT_TOO_LARGE';
+            error.bytes = bytes;
+            throw error;
+        }
+
+        const zip = new yazl.ZipFile();
+        zip.addBuffer(manifest, 'manifest.json');
+        for (const file of files) {
+            zip.addFile(file.filePath, `media/${file.id}`, { compress: false });
+        }
+        zip.end();
+
+        return {
+            stream: zip.outputStream,
+            posts: posts.length,
+            media: files.length,
+            missing,
+            bytes
+        };
+    }
+
+    async function readManifest(zip, entries) {
+        const entry = entries.find(e => e.fileName === 'manifest.json');
+        if (!entry) throw invalidArchive('manifest.json is missing');
+        if (entry.uncompressedSize > MAX_MANIFEST_BYTES) throw invalidArchive('manifest.json is too large');
+
+        let manifest;
+        try {
+            const chunks = [];
+            for await (const chunk of await openEntry(zip, entry)) chunks.push(chunk);
+            manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            if (error.code === 'INVALID_ARCHIVE') throw error;
+            throw invalidArchive('manifest.json is not valid JSON');
+        }
+        if (manifest.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.posts)) {
+            throw invalidArchive('Not a collection export');
+        }
+        if (manifest.version > ARCHIVE_VERSION) {
+            throw invalidArchive(`Archive version ${manifest.version} is newer than this server supports`);
+        }
+        return manifest;
+    }
+
+    // Media files are content-addressed, so a file is only stored when its
+    // name matches its hash and existing files are never touched. Each file
+    // is streamed to disk, never held in memory.
+    async function importMedia(zip, entries, report) {
+        for (const entry of entries) {
+            if (entry.fileName.endsWith('/') || !entry.fileName.startsWith('media/')) continue;
+
+            const id = path.posix.basename(entry.fileName);
+            if (!mediaStore.isValidId(id) || entry.uncompressedSize > maxEntryBytes) {
+                report.invalid_media.push(id);
+                continue;
+            }
+            if (await mediaStore.exists(id)) continue;
+
+            const saved = await mediaStore.saveStream(await openEntry(zip, entry), path.extname(id).slice(1), { expectedId: id });
+            if (!saved) {
+                report.invalid_media.push(id);
+                continue;
+            }
+            report.media_added++;
+        }
+    }
+
+    // One imported post against the stored one with the same id. The same
+    // media means the same post: the newer version wins and keeps the higher
+    // view count. Different media under one id is a conflict and the
+    // stored post is kept.
+    function mergePost(current, incoming) {
+        if (current.media_id !== incoming.media_id) {
+            return { conflict: 'a different post has this ID' };
+        }
+
+        const newer = lastChange(incoming) > lastChange(current) ? incoming : current;
+        const merged = { ...newer, views: Math.max(current.views || 0, incoming.views || 0) };
+        const changed = JSON.stringify(merged) !== JSON.stringify(current);
+        return { post: changed ? merged : null };
+    }
+
+    // Merge an archive file into this deploy. Posts keep their ids, views and
+    // timestamps; stats are recomputed by the caller afterwards.
+    async function importArchive(filePath) {
+        const zip = await openZip(filePath);
+        try {
+            return await importZip(zip);
+        } finally {
+            zip.close();
+        }
+    }
+
+    async function importZip(zip) {
+        const entries = await readEntries(zip);
+        const manifest = await readManifest(zip, entries);
+
+        const report = {
+            added: [],
+            updated: [],
+            unchanged: 0,
+            conflicts: [],
+            media_added: 0,
+            invalid_media: [],
+            collections_added: 0,
+            collections_merged: 0
+        };
+
+        await importMedia(zip, entries, report);
+
+        const existing = new Map((await storage.listPosts()).map(post => [post.id, post]));
+        const writes = [];
+        for (const raw of manifest.posts) {
+            const post = sanitizePost(raw, mediaStore.isValidId);
+            if (!post) {
+                report.conflicts.push({ id: raw && raw.id, reason: 'invalid post' });
+                continue;
+            }
+            const files = [post, ...(post.media || [])].map(item => item.media_id);
+            if (!(await Promise.all(files.map(id => mediaStore.exists(id)))).every(Boolean)) {
+                report.conflicts.push({ id: post.id, reason: 'media file missing' });
+                continue;
+            }
+
+            const current = existing.get(post.id);
+            if (!current) {
+                writes.push(post);
+                report.added.push(post.id);
+                continue;
+            }
+
+            const result = mergePost(current, post);
+            if (result.conflict) {
+                report.conflicts.push({ id: post.id, reason: result.conflict });
+            } else if (result.post) {
+                writes.push(result.post);
+                report.updated.push(post.id);
+            } else {
+                report.unchanged++;
+            }
+        }
+        if (writes.length > 0) {
+            await storage.upsertPosts(writes);
+        }
+
+        // Collections merge by slug; an existing collection gains the posts it lacks
+        const incoming = (manifest.documents && manifest.documents.collections) || [];
+        await storage.updateDocument('collections', [], collections => {
+            for (const raw of incoming) {
+                const collection = sanitizeCollection(raw);
+                if (!collection) continue;
+
+                const current = collections.find(c => c.slug === collection.slug);
+                if (!current) {
+                    collections.push(collection);
+                    report.collections_added++;
+                    continue;
+                }
+                const missing = collection.post_ids.filter(id => !current.post_ids.includes(id));
+                if (missing.length > 0) {
+                    current.post_ids.push(...missing);
+                    report.collections_merged++;
+                }
+            }
+        });
+
+        return report;
+    }
+
+    return { exportArchive, importArchive };
+}
+
+module.exports = { createArchiver };
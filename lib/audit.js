@@ -0,0 +1,52 @@
+const fs = require('fs').promises;
+const { createQueue } = require('./files');
+
+// Append-only audit log of admin actions, one JSON object per line.
+// Entries are never rewritten, so the file doubles as the JSONL export.
+function createAuditLog(filePath) {
+    const enqueue = createQueue();
+
+    // entry: { actor, action, post_id, target, before, after }
+    function record(entry) {
+        const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n';
+        return enqueue(() => fs.appendFile(filePath, line)).catch(error => {
+            console.error('Error writing audit log:', error);
+        });
+    }
+
+    async function readAll() {
+        let data;
+        try {
+            data = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of data.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // A line cut short by a crash; skip it
+            }
+        }
+        return entries;
+    }
+
+    // The most recent `limit` entries, newest first
+    async function recent(limit = 10) {
+        const entries = await readAll();
+        return entries.slice(-limit).reverse();
+    }
+
+    // Wait for pending writes so the file is complete before it is exported
+    async function settle() {
+        await enqueue(() => {});
+    }
+
+    return { record, recent, settle, filePath };
+}
+
+module.exports = { createAuditLog };
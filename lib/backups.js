@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+// Timestamped snapshots of the data directory: posts, documents (stats,
+// collections, admins, ...), sessions and the audit log. Media files are
+// content-addressed and never rewritten, so they are left out; the zip
+// export covers them.
+//
+//   backup-<time>-<reason>.json.gz          gzip of { format, version, created_at, reason,
+//                                            files: [{ name, size, sha256, data (base64) }] }
+//   backup-<time>-<reason>.json.gz.sha256   "<sha256 of the .gz>  <file name>", as sha256sum writes it
+//
+// A backup is only restored when both the archive checksum and the checksum
+// of every file in it match. Files named in keepOnRestore (the append-only
+// audit log) and documents named in keepDocuments (admins and their API
+// tokens, so a revoked token stays revoked) are backed up but keep their
+// current contents through a restore.
+const BACKUP_FORMAT = 'my-collection-xix-backup';
+const BACKUP_VERSION = 1;
+const EXTENSION = '.json.gz';
+// Names made before milliseconds were added to them have none
+const NAME_PATTERN = /^backup-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(-\d{3})?Z-[a-z-]+$/;
+
+// Temp files from atomic writes and SQLite's journal files are not data
+function isDataFile(name) {
+    return !name.startsWith('.') && !/(\.tmp|-wal|-shm|-journal)$/.test(name);
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function invalidBackup(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_BACKUP';
+    return error;
+}
+
+// dataDir: directory to snapshot (top-level files only, so media/ and the
+// backup directory are skipped); retention: number of backups kept
+function createBackupManager({ dataDir, backupDir, storage, retention = 14, keepOnRestore = [], keepDocuments = [] }) {
+    // JSON documents are files of their own and are simply left alone; in
+    // SQLite they are rows of the restored database and are written back
+    const keptFiles = storage.driver === 'json'
+        ? [...keepOnRestore, ...keepDocuments.map(name => `${name}.json`)]
+        : keepOnRestore;
+    const rewrittenDocuments = storage.driver === 'json' ? [] : keepDocuments;
+
+    function fileOf(name) {
+        return path.join(backupDir, `${name}${EXTENSION}`);
+    }
+
+    function nameFor(date, reason) {
+        return `backup-${date.toISOString().slice(0, 23).replace(/[:.]/g, '-')}Z-${reason}`;
+    }
+
+    // Backups made in the same millisecond (a pre-restore and a manual one)
+    // still get names of their own
+    let lastTime = 0;
+    async function freeName(reason) {
+        let time = Math.max(Date.now(), lastTime + 1);
+        lastTime = time;
+        while (await fs.promises.access(fileOf(nameFor(new Date(time), reason))).then(() => true, () => false)) {
+            time = ++lastTime;
+        }
+        return { now: new Date(time), name: nameFor(new Date(time), reason) };
+    }
+
+    // Reads and writes here are synchronous on purpose: they run inside
+    // storage.exclusive(), which keeps every other storage call waiting
+    // (SQLite is even closed) until they are done
+    function readDataFiles() {
+        return fs.readdirSync(dataDir, { withFileTypes: true })
+            .filter(entry => entry.isFile() && isDataFile(entry.name))
+            .map(entry => {
+                const data = fs.readFileSync(path.join(dataDir, entry.name));
+                return { name: entry.name, size: data.length, sha256: sha256(data), data: data.toString('base64') };
+            });
+    }
+
+    function writeDataFiles(files) {
+        const restored = files.filter(file => !keptFiles.includes(file.name));
+        const keep = new Set([...restored.map(file => file.name), ...keptFiles]);
+        for (const file of restored) {
+            const target = path.join(dataDir, file.name);
+            const tmpFile = `${target}.${process.pid}.${Date.now()}.tmp`;
+            fs.writeFileSync(tmpFile, Buffer.from(file.data, 'base64'));
+            fs.renameSync(tmpFile, target);
+        }
+        // Files created after the backup was taken would not belong to it
+        for (const entry of fs.readdirSync(dataDir, { withFileTypes: true })) {
+            if (entry.isFile() && isDataFile(entry.name) && !keep.has(entry.name)) {
+                fs.unlinkSync(path.join(dataDir, entry.name));
+            }
+        }
+    }
+
+    // Backups on disk, newest first
+    async function list() {
+        let names;
+        try {
+            names = await fs.promises.readdir(backupDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const backups = [];
+        for (const file of names) {
+            if (!file.endsWith(EXTENSION)) continue;
+            const name = file.slice(0, -EXTENSION.length);
+            if (!NAME_PATTERN.test(name)) continue;
+
+            const stat = await fs.promises.stat(path.join(backupDir, file));
+            const [, date, time, ms, reason] = name.match(/^backup-(\S{10})T(\d{2}-\d{2}-\d{2})(?:-(\d{3}))?Z-(.+)$/);
+            backups.push({
+                name,
+                size: stat.size,
+                created_at: new Date(`${date}T${time.replace(/-/g, ':')}.${ms || '000'}Z`).toISOString(),
+                reason
+            });
+        }
+        return backups.sort((a, b) => b.created_at.localeCompare(a.created_at) || b.name.localeCompare(a.name));
+    }
+
+    // Delete all but the newest `retention` backups, never the ones in `keep`
+    async function prune({ keep = [] } = {}) {
+        const removed = (await list()).slice(retention).filter(backup => !keep.includes(backup.name));
+        for (const backup of removed) {
+            await fs.promises.rm(fileOf(backup.name), { force: true });
+            await fs.promises.rm(`${fileOf(backup.name)}.sha256`, { force: true });
+        }
+        return removed.map(backup => backup.name);
+    }
+
+    // reason: "scheduled", "manual" or "pre-restore"; ends up in the name.
+    // keep: backups the pruning afterwards must leave alone.
+    async function create(reason = 'scheduled', { keep } = {}) {
+        const { now, name } = await freeName(reason);
+        const files = await storage.exclusive(() => readDataFiles());
+        const body = zlib.gzipSync(JSON.stringify({
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            created_at: now.toISOString(),
+            reason,
+            files
+        }));
+
+        const file = fileOf(name);
+        const checksum = sha256(body);
+        await fs.promises.mkdir(backupDir, { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, body);
+        await fs.promises.rename(`${file}.tmp`, file);
+        await fs.promises.writeFile(`${file}.sha256`, `${checksum}  ${path.basename(file)}\n`);
+
+        const pruned = await prune({ keep });
+        return { name, size: body.length, files: files.length, sha256: checksum, pruned };
+    }
+
+    // Newest backup is older than maxAge (or there is none)
+    async function isDue(maxAge) {
+        const [latest] = await list();
+        return !latest || Date.now() - new Date(latest.created_at).getTime() >= maxAge;
+    }
+
+    // Check a backup without touching the data: the archive against its
+    // .sha256 file, then every file against the checksum recorded for it
+    async function verify(name) {
+        if (!NAME_PATTERN.test(name || '')) throw invalidBackup('Not a backup name');
+
+        const file = fileOf(name);
+        let body;
+        let expected;
+        try {
+            body = await fs.promises.readFile(file);
+        } catch (error) {
+            if (error.code === 'ENOENT') throw invalidBackup('Backup not found');
+            throw error;
+        }
+        try {
+            expected = (await fs.promises.readFile(`${file}.sha256`, 'utf8')).split(/\s+/)[0];
+        } catch (error) {
+            if (error.code === 'ENOENT') throw invalidBackup('Checksum file is missing');
+            throw error;
+        }
+        if (sha256(body) !== expected) throw invalidBackup('Archive checksum does not match');
+
+        let backup;
+        try {
+            backup = JSON.parse(zlib.gunzipSync(body).toString('utf8'));
+        } catch {
+            throw invalidBackup('Archive cannot be read');
+        }
+        if (backup.format !== BACKUP_FORMAT || !Array.isArray(backup.files)) {
+            throw invalidBackup('Not a data backup');
+        }
+        if (backup.version > BACKUP_VERSION) {
+            throw invalidBackup(`Backup version ${backup.version} is newer than this server supports`);
+        }
+        for (const entry of backup.files) {
+            if (!entry || !/^[\w.-]+$/.test(entry.name) || !isDataFile(entry.name)) {
+                throw invalidBackup('Backup contains an invalid file name');
+            }
+            if (sha256(Buffer.from(entry.data || '', 'base64')) !== entry.sha256) {
+                throw invalidBackup(`Checksum of ${entry.name} does not match`);
+            }
+        }
+
+        return {
+            name,
+            created_at: backup.created_at,
+            reason: backup.reason,
+            files: backup.files.map(({ name: fileName, size }) => ({ name: fileName, size })),
+            contents: backup.files
+        };
+    }
+
+    // Replace the data files with a verified backup. The current data is backed
+    // up first ("pre-restore"), as files that are not in the backup are removed.
+    async function restore(name) {
+        const backup = await verify(name);
+        const safety = await create('pre-restore', { keep: [name] });
+        const current = {};
+        for (const document of rewrittenDocuments) {
+            current[document] = await storage.readDocument(document, null);
+        }
+
+        await storage.exclusive(() => writeDataFiles(backup.contents));
+        for (const [document, value] of Object.entries(current)) {
+            if (value !== null) await storage.writeDocument(document, value);
+        }
+        return {
+            name,
+            created_at: backup.created_at,
+            reason: backup.reason,
+            files: backup.files.filter(file => !keptFiles.includes(file.name)),
+            safety: safety.name
+        };
+    }
+
+    return { list, create, prune, isDue, verify, restore };
+}
+
+module.exports = { createBackupManager, BACKUP_EXTENSION: EXTENSION };
@@ -0,0 +1,86 @@
+// Server-sent events hub. Keeps one open response per browser tab, sends a
+// heartbeat so proxies keep the connection open and dead tabs are noticed,
+// and counts distinct visitors (several tabs of one visitor count once).
+function createEventHub({ heartbeatInterval = 25 * 1000, onCountChange = () => {} } = {}) {
+    const clients = new Set(); // { res, visitor }
+    let timer = null;
+    let lastCount = 0;
+
+    function write(client, chunk) {
+        try {
+            client.res.write(chunk);
+        } catch {
+            remove(client);
+        }
+    }
+
+    function visitorCount() {
+        return new Set([...clients].map(c => c.visitor)).size;
+    }
+
+    function countChanged() {
+        const count = visitorCount();
+        if (count === lastCount) return;
+        lastCount = count;
+        onCountChange(count);
+    }
+
+    function remove(client) {
+        if (clients.delete(client)) {
+            countChanged();
+        }
+    }
+
+    // Take over an Express response as an event stream
+    function connect(req, res, visitor) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        // Reconnect after 5s if the connection drops
+        res.write('retry: 5000\n\n');
+
+        const client = { res, visitor };
+        clients.add(client);
+        req.on('close', () => remove(client));
+        countChanged();
+        return client;
+    }
+
+    function send(client, event, data) {
+        write(client, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function broadcast(event, data) {
+        const chunk = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const client of [...clients]) {
+            write(client, chunk);
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(() => {
+            for (const client of [...clients]) {
+                write(client, ': ping\n\n');
+            }
+        }, heartbeatInterval);
+        timer.unref();
+    }
+
+    // End every stream so the server can close
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+        for (const client of [...clients]) {
+            client.res.end();
+        }
+        clients.clear();
+    }
+
+    return { connect, send, broadcast, visitorCount, start, stop };
+}
+
+module.exports = { createEventHub };
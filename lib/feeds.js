@@ -0,0 +1,139 @@
+// RSS 2.0, Atom and JSON Feed 1.1 renderers. Every format is rendered from the
+// same feed object:
+//   { title, description, home_page_url, feed_url, updated,
+//     items: [{ id, url, title, summary, content_html, image, tags,
+//               date_published, date_modified,
+//               attachments: [{ url, mime_type, size_in_bytes }] }] }
+// Dates are ISO strings; URLs are absolute.
+const path = require('path');
+
+const MEDIA_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    mp4: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    wav: 'audio/wav',
+    flac: 'audio/flac'
+};
+
+// MIME type of a stored media file, from the extension of its media id
+function mediaType(mediaId, fallback = 'application/octet-stream') {
+    const ext = path.extname(String(mediaId || '')).slice(1).toLowerCase();
+    return MEDIA_TYPES[ext] || fallback;
+}
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function renderRss(feed) {
+    const items = feed.items.map(item => {
+        // RSS allows a single enclosure per item, so albums list their first file
+        const [enclosure] = item.attachments;
+        return [
+            '    <item>',
+            `      <title>${escapeXml(item.title)}</title>`,
+            `      <link>${escapeXml(item.url)}</link>`,
+            `      <guid isPermaLink="true">${escapeXml(item.id)}</guid>`,
+            `      <pubDate>${new Date(item.date_published).toUTCString()}</pubDate>`,
+            `      <description>${escapeXml(item.content_html)}</description>`,
+            ...item.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+            enclosure
+                ? `      <enclosure url="${escapeXml(enclosure.url)}" length="${enclosure.size_in_bytes || 0}" type="${escapeXml(enclosure.mime_type)}"/>`
+                : null,
+            '    </item>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <link>${escapeXml(feed.home_page_url)}</link>`,
+        `    <description>${escapeXml(feed.description)}</description>`,
+        `    <atom:link href="${escapeXml(feed.feed_url)}" rel="self" type="application/rss+xml"/>`,
+        `    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+        ...items,
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+function renderAtom(feed) {
+    const entries = feed.items.map(item => [
+        '  <entry>',
+        `    <id>${escapeXml(item.id)}</id>`,
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+        `    <published>${item.date_published}</published>`,
+        `    <updated>${item.date_modified}</updated>`,
+        ...item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+        ...item.attachments.map(file =>
+            `    <link rel="enclosure" href="${escapeXml(file.url)}" type="${escapeXml(file.mime_type)}" length="${file.size_in_bytes || 0}"/>`),
+        item.summary ? `    <summary>${escapeXml(item.summary)}</summary>` : null,
+        `    <content type="html">${escapeXml(item.content_html)}</content>`,
+        '  </entry>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escapeXml(feed.feed_url)}</id>`,
+        `  <title>${escapeXml(feed.title)}</title>`,
+        `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(feed.home_page_url)}"/>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feed_url)}"/>`,
+        `  <updated>${feed.updated}</updated>`,
+        `  <author><name>${escapeXml(feed.title)}</name></author>`,
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+function renderJsonFeed(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.home_page_url,
+        feed_url: feed.feed_url,
+        description: feed.description,
+        items: feed.items.map(item => ({
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            content_html: item.content_html,
+            summary: item.summary || undefined,
+            image: item.image || undefined,
+            date_published: item.date_published,
+            date_modified: item.date_modified,
+            tags: item.tags.length > 0 ? item.tags : undefined,
+            attachments: item.attachments.length > 0
+                ? item.attachments.map(file => ({
+                    url: file.url,
+                    mime_type: file.mime_type,
+                    size_in_bytes: file.size_in_bytes || undefined
+                }))
+                : undefined
+        }))
+    }, null, 2);
+}
+
+module.exports = { mediaType, escapeXml, renderRss, renderAtom, renderJsonFeed };
@@ -0,0 +1,56 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Read and parse a JSON file, falling back when it is missing or corrupt
+async function readJson(filePath, fallback) {
+    try {
+        const data = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading ${path.basename(filePath)}:`, error);
+        }
+        return fallback;
+    }
+}
+
+// Write JSON through a temp file + rename so readers never see a half-written file
+async function writeJsonAtomic(filePath, data) {
+    const tmpFile = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.rename(tmpFile, filePath);
+}
+
+// Run async tasks one after another; used to serialize writes to a single file
+function createQueue() {
+    let tail = Promise.resolve();
+
+    return function enqueue(task) {
+        const run = tail.then(task, task);
+        tail = run.catch(() => {});
+        return run;
+    };
+}
+
+// One queue per key: tasks with the same key run one after another, tasks
+// with different keys do not wait for each other
+function createKeyedQueue() {
+    const tails = new Map();
+
+    return function enqueue(key, task) {
+        const run = (tails.get(key) || Promise.resolve()).then(task, task);
+        const tail = run.catch(() => {});
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) tails.delete(key);
+        });
+        return run;
+    };
+}
+
+module.exports = {
+    readJson,
+    writeJsonAtomic,
+    createQueue,
+    createKeyedQueue
+};
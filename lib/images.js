@@ -0,0 +1,73 @@
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+
+// Widths of the generated variants. "full" is the original upload.
+const VARIANT_WIDTHS = {
+    thumb: 320,
+    medium: 960
+};
+
+// Resized copies of images in the media store, plus poster frames for videos
+function createImageProcessor(mediaStore, { ffmpegPath = 'ffmpeg' } = {}) {
+    function describe(id, info) {
+        return { url: `/media/${id}`, width: info.width, height: info.height };
+    }
+
+    // { thumb, medium, full } for an image already in the media store
+    async function createVariants(mediaId) {
+        const source = mediaStore.resolve(mediaId);
+        const original = await sharp(source).metadata();
+        // Phone photos are often stored sideways with an EXIF rotation
+        const rotated = original.orientation >= 5;
+
+        const variants = {
+            full: describe(mediaId, {
+                width: rotated ? original.height : original.width,
+                height: rotated ? original.width : original.height
+            })
+        };
+
+        for (const [name, width] of Object.entries(VARIANT_WIDTHS)) {
+            const { data, info } = await sharp(source)
+                .rotate()
+                .resize({ width, withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer({ resolveWithObject: true });
+            const saved = await mediaStore.saveBuffer(data, 'webp');
+            variants[name] = describe(saved.id, info);
+        }
+
+        return variants;
+    }
+
+    function frameAt(filePath, at) {
+        return new Promise((resolve) => {
+            const chunks = [];
+            const child = spawn(ffmpegPath, [
+                '-loglevel', 'error',
+                '-ss', String(at),
+                '-i', filePath,
+                '-frames:v', '1',
+                '-f', 'image2',
+                '-vcodec', 'mjpeg',
+                'pipe:1'
+            ]);
+
+            child.stdout.on('data', chunk => chunks.push(chunk));
+            child.on('error', () => resolve(null)); // e.g. ffmpeg not installed
+            child.on('close', code => {
+                resolve(code === 0 && chunks.length > 0 ? Buffer.concat(chunks) : null);
+            });
+        });
+    }
+
+    // A frame one second in (or the first frame of shorter clips) as a JPEG
+    // buffer, or null when ffmpeg is not available
+    async function extractVideoFrame(filePath) {
+        return (await frameAt(filePath, 1)) || frameAt(filePath, 0);
+    }
+
+    return { createVariants, extractVideoFrame };
+}
+
+module.exports = { createImageProcessor, VARIANT_WIDTHS };
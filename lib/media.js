@@ -0,0 +1,93 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { pipeline } = require('stream/promises');
+
+// Media ids are "<sha256>.<ext>", so identical uploads share one file
+const MEDIA_ID_PATTERN = /^[a-f0-9]{64}\.[a-z0-9]{1,5}$/;
+
+// Content-addressed media store on local disk
+function createMediaStore(dir) {
+    if (!fsSync.existsSync(dir)) {
+        fsSync.mkdirSync(dir, { recursive: true });
+    }
+
+    function isValidId(id) {
+        return typeof id === 'string' && MEDIA_ID_PATTERN.test(id);
+    }
+
+    function resolve(id) {
+        if (!isValidId(id)) return null;
+        return path.join(dir, id);
+    }
+
+    async function exists(id) {
+        const filePath = resolve(id);
+        if (!filePath) return false;
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async function saveBuffer(buffer, ext) {
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        const safeExt = (ext || 'bin').toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 5) || 'bin';
+        const id = `${hash}.${safeExt}`;
+        const filePath = path.join(dir, id);
+
+        if (!(await exists(id))) {
+            const tmpFile = `${filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpFile, buffer);
+            await fs.rename(tmpFile, filePath);
+        }
+
+        return { id, size: buffer.length };
+    }
+
+    // Write a stream to a temp file while hashing it, then move it to its id.
+    // With expectedId, a stream whose id differs is discarded and null returned.
+    async function saveStream(stream, ext, { expectedId } = {}) {
+        const safeExt = (ext || 'bin').toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 5) || 'bin';
+        const tmpFile = path.join(dir, `.${process.pid}.${crypto.randomBytes(8).toString('hex')}.tmp`);
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+
+        try {
+            await pipeline(stream, async function* (chunks) {
+                for await (const chunk of chunks) {
+                    hash.update(chunk);
+                    size += chunk.length;
+                    yield chunk;
+                }
+            }, fsSync.createWriteStream(tmpFile));
+
+            const id = `${hash.digest('hex')}.${safeExt}`;
+            if ((expectedId && id !== expectedId) || await exists(id)) {
+                await fs.rm(tmpFile, { force: true });
+                return expectedId && id !== expectedId ? null : { id, size };
+            }
+            await fs.rename(tmpFile, path.join(dir, id));
+            return { id, size };
+        } catch (error) {
+            await fs.rm(tmpFile, { force: true });
+            throw error;
+        }
+    }
+
+    async function saveFromUrl(url, ext) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Download failed with HTTP ${response.status}`);
+        }
+        const buffer = Buffer.from(await response.arrayBuffer());
+        return saveBuffer(buffer, ext);
+    }
+
+    return { isValidId, resolve, exists, saveBuffer, saveStream, saveFromUrl };
+}
+
+module.exports = { createMediaStore };
@@ -0,0 +1,122 @@
+// Server-rendered post pages: the gallery's index.html with the post's Open
+// Graph / Twitter card tags in <head> and a <noscript> copy of the post, so
+// link previews in messengers show the image and caption.
+const { escapeXml: escape, mediaType } = require('./feeds');
+
+function absolute(base, url) {
+    return url ? `${base}${url}` : null;
+}
+
+// Preview image: the medium variant, the video poster, or the thumbnail
+function previewImage(post) {
+    const variants = post.variants || {};
+    const image = variants.medium || variants.poster || variants.full;
+    if (image) return image;
+    if (post.thumbnail) return { url: post.thumbnail };
+    return post.type === 'image' ? { url: post.media_url, width: post.width, height: post.height } : null;
+}
+
+// "video/mp4", "audio/mpeg", ...: GIF posts may be MP4 animations
+function fileType(post) {
+    return post.mime_type || mediaType(post.media_id, post.type === 'video' ? 'video/mp4' : '');
+}
+
+function metaTags(post, { base, url }) {
+    const title = post.caption || 'MY COLLECTION XIX';
+    // Previews show one short line
+    const kind = { video: 'Video', gif: 'GIF', audio: 'Audio' }[post.type] || 'Photo';
+    const description = post.description
+        ? post.description.replace(/\s+/g, ' ').trim().slice(0, 200)
+        : `${kind} from MY COLLECTION XIX`;
+    const image = previewImage(post);
+    const type = fileType(post);
+
+    const tags = [
+        ['name', 'description', description],
+        ['property', 'og:site_name', 'MY COLLECTION XIX'],
+        ['property', 'og:type', type.startsWith('video/') ? 'video.other' : (type.startsWith('audio/') ? 'music.song' : 'article')],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', url]
+    ];
+
+    if (image) {
+        tags.push(['property', 'og:image', absolute(base, image.url)]);
+        if (image.width) tags.push(['property', 'og:image:width', image.width]);
+        if (image.height) tags.push(['property', 'og:image:height', image.height]);
+        tags.push(['property', 'og:image:alt', title]);
+    }
+    if (type.startsWith('video/')) {
+        tags.push(['property', 'og:video', absolute(base, post.media_url)]);
+        tags.push(['property', 'og:video:type', type]);
+        if (post.width) tags.push(['property', 'og:video:width', post.width]);
+        if (post.height) tags.push(['property', 'og:video:height', post.height]);
+    }
+    if (type.startsWith('audio/')) {
+        tags.push(['property', 'og:audio', absolute(base, post.media_url)]);
+        tags.push(['property', 'og:audio:type', type]);
+    }
+    if (post.published_at || post.created_at) {
+        tags.push(['property', 'article:published_time', new Date(post.published_at || post.created_at).toISOString()]);
+    }
+    for (const tag of post.tags || []) {
+        tags.push(['property', 'article:tag', tag]);
+    }
+
+    tags.push(['name', 'twitter:card', image ? 'summary_large_image' : 'summary']);
+    tags.push(['name', 'twitter:title', title]);
+    tags.push(['name', 'twitter:description', description]);
+    if (image) {
+        tags.push(['name', 'twitter:image', absolute(base, image.url)]);
+    }
+
+    return [
+        `<link rel="canonical" href="${escape(url)}">`,
+        ...tags.map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escape(value)}">`)
+    ].map(line => `    ${line}`).join('\n');
+}
+
+// The post for visitors without JavaScript (and crawlers that ignore meta tags)
+function noscriptBlock(post) {
+    const image = previewImage(post);
+    const type = fileType(post);
+    const poster = image ? ` poster="${escape(image.url)}"` : '';
+    let media;
+    if (type.startsWith('video/')) {
+        media = post.type === 'gif'
+            ? `<video src="${escape(post.media_url)}" autoplay loop muted playsinline${poster}></video>`
+            : `<video src="${escape(post.media_url)}" controls${poster}></video>`;
+    } else if (type.startsWith('audio/')) {
+        media = `${image ? `<img src="${escape(image.url)}" alt="${escape(post.caption)}">` : ''}<audio src="${escape(post.media_url)}" controls></audio>`;
+    } else {
+        // GIF files are shown as they are, so they stay animated
+        const src = post.type === 'gif' || !image ? post.media_url : image.url;
+        media = `<img src="${escape(src)}" alt="${escape(post.caption)}">`;
+    }
+
+    return [
+        '    <noscript>',
+        '        <article class="noscript-post">',
+        `            <h1>${escape(post.caption || 'Untitled')}</h1>`,
+        `            ${media}`,
+        post.description ? `            <p>${escape(post.description).replace(/\n/g, '<br>')}</p>` : null,
+        (post.tags || []).length > 0
+            ? `            <p>${post.tags.map(tag => `<a href="/?tag=${encodeURIComponent(tag)}">#${escape(tag)}</a>`).join(' ')}</p>`
+            : null,
+        '            <p><a href="/">Open the gallery</a></p>',
+        '        </article>',
+        '    </noscript>'
+    ].filter(Boolean).join('\n');
+}
+
+// index.html with the post's title, meta tags and noscript content
+function renderPostPage(template, post, { base, url }) {
+    const title = `${post.caption || 'Untitled'} - MY COLLECTION XIX`;
+
+    return template
+        .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escape(title)}</title>`)
+        .replace('</head>', () => `${metaTags(post, { base, url })}\n</head>`)
+        .replace(/<body[^>]*>/, match => `${match}\n${noscriptBlock(post)}`);
+}
+
+module.exports = { renderPostPage };
@@ -0,0 +1,93 @@
+// Anonymous emoji reactions. Each post keeps its counts in `reactions`
+// ({ "❤️": 3, ... }) so they travel with the post in every payload; who
+// reacted with what lives in one document per post ("reactions-<id>"), so a
+// vote only reads and writes the votes of its own post.
+//
+// A vote is stored as [visitor, device]: the visitor id from the signed
+// cookie and the device key (a hash of IP and user agent). A voter matches a
+// vote when either is theirs, so each emoji counts once per cookie and once
+// per device: a new cookie from the same device takes the vote back instead
+// of adding another. Someone who changes both their IP and their browser (or
+// clears cookies on a new network) can vote again; only the rate limiter
+// stands in the way of that.
+const REACTIONS = ['❤️', '🔥', '😂', '😮', '👏'];
+
+function reactionTotal(post) {
+    return Object.values(post.reactions || {}).reduce((sum, count) => sum + count, 0);
+}
+
+// Sum of every post's reactions, per emoji
+function reactionCounts(posts) {
+    const counts = {};
+    for (const post of posts) {
+        for (const [emoji, count] of Object.entries(post.reactions || {})) {
+            counts[emoji] = (counts[emoji] || 0) + count;
+        }
+    }
+    return counts;
+}
+
+function votesDocument(postId) {
+    return `reactions-${postId}`;
+}
+
+function isVoter(vote, { visitor, device }) {
+    return vote[0] === visitor || vote[1] === device;
+}
+
+// Emojis with a vote by this voter ({ visitor, device })
+function givenBy(votes, voter) {
+    return Object.keys(votes).filter(emoji => votes[emoji].some(vote => isVoter(vote, voter)));
+}
+
+function createReactions(storage) {
+    // Emojis this voter gave the post
+    async function mine(postId, voter) {
+        return givenBy(await storage.readDocument(votesDocument(postId), {}), voter);
+    }
+
+    // Add the voter's reaction, or take it back when they already gave it.
+    // Resolves to the post's counts and the voter's reactions, or null when
+    // the post is gone.
+    async function toggle(postId, voter, emoji) {
+        let added = false;
+        let change = 0;
+        let reacted = [];
+        await storage.updateDocument(votesDocument(postId), {}, votes => {
+            const current = votes[emoji] || [];
+            const kept = current.filter(vote => !isVoter(vote, voter));
+            added = kept.length === current.length;
+            change = added ? 1 : kept.length - current.length;
+
+            if (added) {
+                votes[emoji] = [...current, [voter.visitor, voter.device]];
+            } else if (kept.length > 0) {
+                votes[emoji] = kept;
+            } else {
+                delete votes[emoji];
+            }
+            reacted = givenBy(votes, voter);
+        });
+
+        const post = await storage.updatePost(postId, p => {
+            const counts = p.reactions || {};
+            counts[emoji] = Math.max((counts[emoji] || 0) + change, 0);
+            if (counts[emoji] === 0) delete counts[emoji];
+            p.reactions = counts;
+        });
+        if (!post) return null;
+
+        return { post, added, reacted };
+    }
+
+    // Drop the votes of purged posts
+    async function forget(postIds) {
+        for (const id of postIds) {
+            await storage.deleteDocument(votesDocument(id));
+        }
+    }
+
+    return { mine, toggle, forget };
+}
+
+module.exports = { createReactions, reactionTotal, reactionCounts, REACTIONS };
@@ -0,0 +1,197 @@
+// In-memory search index over posts. Built lazily from `loadPosts` and rebuilt
+// after `invalidate()` or once it is older than `maxAge` (to pick up changes
+// made by other instances).
+function createdTime(post) {
+    return new Date(post.created_at).getTime() || 0;
+}
+
+// Sort orders as key tuples compared left to right. The id makes every key
+// unique, so a cursor always points at one exact position in the list.
+// "featured" puts posts pinned by an admin (position > 0) first, highest
+// position first, then everything else newest first.
+const SORTS = {
+    featured: { desc: true, key: post => [post.position || 0, createdTime(post), post.id] },
+    newest: { desc: true, key: post => [createdTime(post), post.id] },
+    oldest: { desc: false, key: post => [createdTime(post), post.id] },
+    most_viewed: { desc: true, key: (post, views) => [views, createdTime(post), post.id] }
+};
+
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort and last key seen
+function encodeCursor(sort, key) {
+    return Buffer.from(JSON.stringify({ s: sort, k: key })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    try {
+        const { s, k } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (s === sort && Array.isArray(k)) return k;
+    } catch {
+        // Fall through to the error below
+    }
+    const error = new Error('Invalid cursor');
+    error.code = 'INVALID_CURSOR';
+    throw error;
+}
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+function parseDate(value, endOfDay) {
+    if (!value) return null;
+    // A bare date ("2024-05-01") covers the whole day
+    const suffix = /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? (endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z')
+        : '';
+    const time = new Date(value + suffix).getTime();
+    return isNaN(time) ? null : time;
+}
+
+function parseList(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(v => v.trim().toLowerCase().replace(/^#/, '')).filter(Boolean);
+}
+
+function createPostIndex(loadPosts, { maxAge = 60 * 1000 } = {}) {
+    let index = null;
+    let building = null;
+
+    async function build() {
+        const posts = await loadPosts();
+        const terms = new Map(); // token -> Set of post ids
+
+        for (const post of posts) {
+            const tokens = tokenize(`${post.caption} ${post.description} ${post.author} ${(post.tags || []).join(' ')}`);
+            for (const token of tokens) {
+                if (!terms.has(token)) terms.set(token, new Set());
+                terms.get(token).add(post.id);
+            }
+        }
+
+        return {
+            builtAt: Date.now(),
+            posts,
+            terms
+        };
+    }
+
+    async function current() {
+        if (index && Date.now() - index.builtAt < maxAge) return index;
+        if (!building) {
+            building = build().finally(() => { building = null; });
+        }
+        index = await building;
+        return index;
+    }
+
+    function invalidate() {
+        index = null;
+    }
+
+    // Ids matching every query word; the last word also matches as a prefix
+    // so results update while the visitor is still typing
+    function matchText(idx, q) {
+        const words = tokenize(q);
+        if (words.length === 0) return null;
+
+        let result = null;
+        words.forEach((word, i) => {
+            const ids = new Set();
+            const isLast = i === words.length - 1;
+
+            for (const [token, postIds] of idx.terms) {
+                if (token === word || (isLast && token.startsWith(word))) {
+                    postIds.forEach(id => ids.add(id));
+                }
+            }
+
+            result = result ? new Set([...result].filter(id => ids.has(id))) : ids;
+        });
+        return result;
+    }
+
+    // Options: type, q, sort (featured|newest|oldest|most_viewed), from, to, tags,
+    // ids (restrict to these post ids, e.g. a collection), cursor (from a
+    // previous result's nextCursor) and limit.
+    // `getViews` lets the caller include views that are not persisted yet.
+    // Throws an error with code INVALID_CURSOR for a cursor it did not issue.
+    async function query({ type, q, sort, from, to, tags, ids, cursor, limit = 12 } = {}, getViews = post => post.views || 0) {
+        const sortName = SORTS[sort] ? sort : 'newest';
+        const order = SORTS[sortName];
+        const after = cursor ? decodeCursor(cursor, sortName) : null;
+
+        const idx = await current();
+        const textMatches = matchText(idx, q);
+        const fromTime = parseDate(from, false);
+        const toTime = parseDate(to, true);
+        const tagList = parseList(tags);
+        const types = parseList(type);
+
+        const idSet = ids ? new Set(ids) : null;
+
+        const matches = idx.posts.filter(post => {
+            if (idSet && !idSet.has(post.id)) return false;
+            if (textMatches && !textMatches.has(post.id)) return false;
+            if (types.length > 0 && !types.includes(post.type)) return false;
+
+            const created = createdTime(post);
+            if (fromTime !== null && created < fromTime) return false;
+            if (toTime !== null && created > toTime) return false;
+
+            if (tagList.length > 0) {
+                const postTags = post.tags || [];
+                if (!tagList.every(tag => postTags.includes(tag))) return false;
+            }
+            return true;
+        });
+
+        const direction = order.desc ? -1 : 1;
+        const keyed = matches
+            .map(post => ({ post, key: order.key(post, getViews(post)) }))
+            .sort((a, b) => direction * compareKeys(a.key, b.key));
+
+        // Everything strictly after the cursor, so new uploads never shift pages
+        const start = after
+            ? keyed.findIndex(entry => direction * compareKeys(entry.key, after) > 0)
+            : 0;
+        const page = start === -1 ? [] : keyed.slice(start, start + limit);
+        const hasMore = start !== -1 && start + limit < keyed.length;
+
+        return {
+            posts: page.map(entry => entry.post),
+            total: keyed.length,
+            nextCursor: hasMore ? encodeCursor(sortName, page[page.length - 1].key) : null
+        };
+    }
+
+    // Tag usage counts, most used first
+    async function tagCounts() {
+        const idx = await current();
+        const counts = new Map();
+        for (const post of idx.posts) {
+            for (const tag of post.tags || []) {
+                counts.set(tag, (counts.get(tag) || 0) + 1);
+            }
+        }
+        return [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    return { query, tagCounts, invalidate };
+}
+
+module.exports = { createPostIndex };
@@ -0,0 +1,94 @@
+const { session } = require('telegraf');
+const { readJson, writeJsonAtomic, createQueue, createKeyedQueue } = require('./files');
+
+// Telegraf session store persisted to a JSON file under DATA_DIR.
+// Every read goes to disk so a webhook handled by another instance sharing
+// the same volume still sees the pending upload.
+function createSessionStore(filePath, { ttl = 30 * 60 * 1000 } = {}) {
+    const enqueue = createQueue();
+
+    function isExpired(entry, now = Date.now()) {
+        return !entry || entry.expires_at <= now;
+    }
+
+    async function load() {
+        return readJson(filePath, {});
+    }
+
+    // Queued behind pending writes, so a read never sees a session older than
+    // one already handed to set()
+    function get(key) {
+        return enqueue(async () => {
+            const sessions = await load();
+            const entry = sessions[key];
+            if (isExpired(entry)) return undefined;
+            return entry.data;
+        });
+    }
+
+    function set(key, data) {
+        return enqueue(async () => {
+            const sessions = await load();
+            sessions[key] = {
+                data,
+                expires_at: Date.now() + ttl
+            };
+            await writeJsonAtomic(filePath, sessions);
+        });
+    }
+
+    function del(key) {
+        return enqueue(async () => {
+            const sessions = await load();
+            if (!(key in sessions)) return;
+            delete sessions[key];
+            await writeJsonAtomic(filePath, sessions);
+        });
+    }
+
+    // Remove expired sessions and return them so the caller can notify their owners
+    function sweep() {
+        return enqueue(async () => {
+            const sessions = await load();
+            const now = Date.now();
+            const expired = [];
+
+            for (const [key, entry] of Object.entries(sessions)) {
+                if (isExpired(entry, now)) {
+                    expired.push({ key, data: entry && entry.data });
+                    delete sessions[key];
+                }
+            }
+
+            if (expired.length > 0) {
+                await writeJsonAtomic(filePath, sessions);
+            }
+            return expired;
+        });
+    }
+
+    return { get, set, delete: del, sweep };
+}
+
+// One session per user per chat, as Telegraf keys them by default
+function sessionKey(ctx) {
+    if (!ctx.from || !ctx.chat) return undefined;
+    return `${ctx.from.id}:${ctx.chat.id}`;
+}
+
+// Telegraf session middleware that handles one update at a time per session
+// key. Telegram delivers updates concurrently (album items always are); each
+// would otherwise read the session, change it and write the whole session
+// back, and the last write would drop the others' changes.
+function sequentialSession(store) {
+    const middleware = session({ store, getSessionKey: sessionKey });
+    const enqueue = createKeyedQueue();
+
+    return (ctx, next) => {
+        const key = sessionKey(ctx);
+        if (!key) return middleware(ctx, next);
+        return enqueue(key, () => middleware(ctx, next));
+    };
+}
+
+module.exports = { createSessionStore, sequentialSession, sessionKey };
@@ -0,0 +1,36 @@
+const path = require('path');
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+
+// Storage interface shared by every adapter (all methods return promises):
+//   init()                    create files/tables if needed
+//   listPosts()               all posts, newest first
+//   getPost(id)               one post or null
+//   insertPost(post)          add a new post
+//   updatePost(id, updater)   updater(post) runs synchronously and may mutate
+//                             the post or return a replacement; resolves to the
+//                             updated post, or null if the id is unknown
+//   deletePost(id)            remove a post, resolves to it or null
+//   upsertPosts(posts)        insert or replace posts by id (imports/migrations)
+//   readDocument(name, fallback) / writeDocument(name, value)
+//                             small JSON documents such as stats
+//   updateDocument(name, fallback, updater)
+//                             read-modify-write of a document; updater runs
+//                             synchronously and may mutate or return a value
+//   deleteDocument(name)      remove a document; reading it gives the fallback
+//   exclusive(task)           run task with every write on disk and none in
+//                             flight; data files it replaces on disk are
+//                             picked up afterwards (backups and restores)
+//   close()                   flush pending writes and release handles
+function createStorage({ driver = 'json', dataDir, sqliteFile } = {}) {
+    switch (driver) {
+        case 'json':
+            return createJsonStorage(dataDir);
+        case 'sqlite':
+            return createSqliteStorage(sqliteFile || path.join(dataDir, 'collection.db'));
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "sqlite")`);
+    }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,169 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { readJson, writeJsonAtomic, createQueue } = require('../files');
+
+function byNewest(a, b) {
+    return new Date(b.created_at) - new Date(a.created_at);
+}
+
+// JSON-file storage: posts.json plus one <name>.json per document.
+// Posts are cached in memory and only re-read when the file changes on disk;
+// all writes go through one queue and land atomically.
+function createJsonStorage(dataDir) {
+    const postsFile = path.join(dataDir, 'posts.json');
+    const enqueue = createQueue();
+    let cache = null;
+    let cacheMtime = 0;
+
+    function documentFile(name) {
+        return path.join(dataDir, `${name}.json`);
+    }
+
+    async function load() {
+        let mtime = 0;
+        try {
+            mtime = (await fs.stat(postsFile)).mtimeMs;
+        } catch {
+            return [];
+        }
+
+        if (!cache || mtime !== cacheMtime) {
+            const posts = await readJson(postsFile, []);
+            cache = Array.isArray(posts) ? posts.sort(byNewest) : [];
+            cacheMtime = mtime;
+        }
+        return cache;
+    }
+
+    async function save(posts) {
+        posts.sort(byNewest);
+        await writeJsonAtomic(postsFile, posts);
+        cache = posts;
+        cacheMtime = (await fs.stat(postsFile)).mtimeMs;
+    }
+
+    // Read-modify-write of the posts file, serialized with every other write
+    function mutate(fn) {
+        return enqueue(async () => {
+            const posts = structuredClone(await load());
+            const result = await fn(posts);
+            await save(posts);
+            return result;
+        });
+    }
+
+    async function init() {
+        try {
+            await fs.access(postsFile);
+        } catch {
+            await writeJsonAtomic(postsFile, []);
+        }
+    }
+
+    async function listPosts() {
+        return structuredClone(await load());
+    }
+
+    async function getPost(id) {
+        const post = (await load()).find(p => p.id === id);
+        return post ? structuredClone(post) : null;
+    }
+
+    function insertPost(post) {
+        return mutate(posts => {
+            posts.push(post);
+            return structuredClone(post);
+        });
+    }
+
+    function updatePost(id, updater) {
+        return mutate(posts => {
+            const index = posts.findIndex(p => p.id === id);
+            if (index === -1) return null;
+
+            const updated = updater(posts[index]) || posts[index];
+            posts[index] = updated;
+            return structuredClone(updated);
+        });
+    }
+
+    function deletePost(id) {
+        return mutate(posts => {
+            const index = posts.findIndex(p => p.id === id);
+            if (index === -1) return null;
+            return posts.splice(index, 1)[0];
+        });
+    }
+
+    // Insert or replace posts by id
+    function upsertPosts(incoming) {
+        return mutate(posts => {
+            const indexById = new Map(posts.map((p, i) => [p.id, i]));
+            for (const post of incoming) {
+                if (indexById.has(post.id)) {
+                    posts[indexById.get(post.id)] = post;
+                } else {
+                    indexById.set(post.id, posts.length);
+                    posts.push(post);
+                }
+            }
+            return incoming.length;
+        });
+    }
+
+    async function readDocument(name, fallback) {
+        return readJson(documentFile(name), fallback);
+    }
+
+    function writeDocument(name, value) {
+        return enqueue(() => writeJsonAtomic(documentFile(name), value));
+    }
+
+    function updateDocument(name, fallback, updater) {
+        return enqueue(async () => {
+            const current = await readJson(documentFile(name), fallback);
+            const updated = updater(current);
+            const value = updated === undefined ? current : updated;
+            await writeJsonAtomic(documentFile(name), value);
+            return value;
+        });
+    }
+
+    function deleteDocument(name) {
+        return enqueue(() => fs.rm(documentFile(name), { force: true }));
+    }
+
+    // Run task with no write in flight; files it replaces are re-read afterwards
+    function exclusive(task) {
+        return enqueue(async () => {
+            try {
+                return await task();
+            } finally {
+                cache = null;
+            }
+        });
+    }
+
+    async function close() {
+        await enqueue(() => {});
+    }
+
+    return {
+        driver: 'json',
+        init,
+        listPosts,
+        getPost,
+        insertPost,
+        updatePost,
+        deletePost,
+        upsertPosts,
+        readDocument,
+        writeDocument,
+        updateDocument,
+        deleteDocument,
+        exclusive,
+        close
+    };
+}
+
+module.exports = { createJsonStorage };
@@ -0,0 +1,167 @@
+// Embedded SQLite storage. Posts are stored as JSON documents keyed by id,
+// with created_at broken out for ordering; small documents (stats, etc.)
+// live in their own table.
+function createSqliteStorage(filePath) {
+    // Optional dependency, only needed when STORAGE_DRIVER=sqlite
+    const Database = require('better-sqlite3');
+    let db = null;
+
+    function open() {
+        db = new Database(filePath);
+        db.pragma('journal_mode = WAL');
+        db.pragma('busy_timeout = 5000');
+    }
+    open();
+
+    const statements = {};
+
+    function row(post) {
+        return {
+            id: post.id,
+            created_at: post.created_at,
+            data: JSON.stringify(post)
+        };
+    }
+
+    async function init() {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS posts (
+                id INTEGER PRIMARY KEY,
+                created_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS posts_created_at ON posts (created_at);
+            CREATE TABLE IF NOT EXISTS documents (
+                name TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+        `);
+
+        statements.list = db.prepare('SELECT data FROM posts ORDER BY created_at DESC');
+        statements.get = db.prepare('SELECT data FROM posts WHERE id = ?');
+        statements.insert = db.prepare('INSERT INTO posts (id, created_at, data) VALUES (@id, @created_at, @data)');
+        statements.upsert = db.prepare(`
+            INSERT INTO posts (id, created_at, data) VALUES (@id, @created_at, @data)
+            ON CONFLICT (id) DO UPDATE SET created_at = excluded.created_at, data = excluded.data
+        `);
+        statements.update = db.prepare('UPDATE posts SET created_at = @created_at, data = @data WHERE id = @id');
+        statements.delete = db.prepare('DELETE FROM posts WHERE id = ?');
+        statements.readDocument = db.prepare('SELECT data FROM documents WHERE name = ?');
+        statements.writeDocument = db.prepare(`
+            INSERT INTO documents (name, data) VALUES (?, ?)
+            ON CONFLICT (name) DO UPDATE SET data = excluded.data
+        `);
+        statements.deleteDocument = db.prepare('DELETE FROM documents WHERE name = ?');
+    }
+
+    async function listPosts() {
+        return statements.list.all().map(r => JSON.parse(r.data));
+    }
+
+    async function getPost(id) {
+        const r = statements.get.get(id);
+        return r ? JSON.parse(r.data) : null;
+    }
+
+    async function insertPost(post) {
+        statements.insert.run(row(post));
+        return post;
+    }
+
+    async function updatePost(id, updater) {
+        let result = null;
+        const txn = db.transaction(() => {
+            const r = statements.get.get(id);
+            if (!r) return;
+
+            const post = JSON.parse(r.data);
+            result = updater(post) || post;
+            statements.update.run(row({ ...result, id }));
+        });
+        txn();
+        return result;
+    }
+
+    async function deletePost(id) {
+        let deleted = null;
+        const txn = db.transaction(() => {
+            const r = statements.get.get(id);
+            if (!r) return;
+            deleted = JSON.parse(r.data);
+            statements.delete.run(id);
+        });
+        txn();
+        return deleted;
+    }
+
+    async function upsertPosts(posts) {
+        const txn = db.transaction(items => {
+            for (const post of items) statements.upsert.run(row(post));
+        });
+        txn(posts);
+        return posts.length;
+    }
+
+    async function readDocument(name, fallback) {
+        const r = statements.readDocument.get(name);
+        return r ? JSON.parse(r.data) : fallback;
+    }
+
+    async function writeDocument(name, value) {
+        statements.writeDocument.run(name, JSON.stringify(value));
+    }
+
+    async function updateDocument(name, fallback, updater) {
+        let value;
+        const txn = db.transaction(() => {
+            const r = statements.readDocument.get(name);
+            const current = r ? JSON.parse(r.data) : fallback;
+            const updated = updater(current);
+            value = updated === undefined ? current : updated;
+            statements.writeDocument.run(name, JSON.stringify(value));
+        });
+        txn();
+        return value;
+    }
+
+    async function deleteDocument(name) {
+        statements.deleteDocument.run(name);
+    }
+
+    // Run task with the database checkpointed and closed, so the file on disk
+    // is complete and may be replaced; task should do its file work
+    // synchronously, as every other call fails until it is reopened
+    async function exclusive(task) {
+        db.pragma('wal_checkpoint(TRUNCATE)');
+        db.close();
+        try {
+            return await task();
+        } finally {
+            open();
+            await init();
+        }
+    }
+
+    async function close() {
+        db.close();
+    }
+
+    return {
+        driver: 'sqlite',
+        init,
+        listPosts,
+        getPost,
+        insertPost,
+        updatePost,
+        deletePost,
+        upsertPosts,
+        readDocument,
+        writeDocument,
+        updateDocument,
+        deleteDocument,
+        exclusive,
+        close
+    };
+}
+
+module.exports = { createSqliteStorage };
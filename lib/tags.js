@@ -0,0 +1,37 @@
+// Tag and slug helpers shared by the bot commands and the API
+
+// Lowercase letters, digits and underscores; "#Beach" -> "beach"
+function normalizeTag(tag) {
+    return String(tag || '')
+        .replace(/^#/, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}_]/gu, '')
+        .slice(0, 40);
+}
+
+function uniqueTags(tags) {
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+// Pull hashtags out of a caption. A run of hashtags at the end is removed
+// from the caption; hashtags inside the sentence are kept as written.
+function parseHashtags(text) {
+    const tags = uniqueTags(String(text || '').match(/#[\p{L}\p{N}_]+/gu) || []);
+    const caption = String(text || '')
+        .replace(/(\s*#[\p{L}\p{N}_]+)+\s*$/u, '')
+        .trim();
+
+    return { caption, tags };
+}
+
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+}
+
+module.exports = { normalizeTag, uniqueTags, parseHashtags, slugify };
@@ -0,0 +1,26 @@
+// Remembers recent Telegram update ids in a storage document, so a webhook
+// retry (Telegram resends when we answer slowly or with an error) is not
+// handled twice, even when it lands on another instance.
+function createUpdateLog(storage, { size = 1000 } = {}) {
+    const DOCUMENT = 'webhook_updates';
+
+    // True if this update id was not seen before and is now ours to handle
+    async function claim(updateId) {
+        let claimed = false;
+        await storage.updateDocument(DOCUMENT, [], ids => {
+            if (ids.includes(updateId)) return ids;
+            claimed = true;
+            return [...ids, updateId].slice(-size);
+        });
+        return claimed;
+    }
+
+    // Forget an update whose handling failed, so Telegram's retry goes through
+    async function release(updateId) {
+        await storage.updateDocument(DOCUMENT, [], ids => ids.filter(id => id !== updateId));
+    }
+
+    return { claim, release };
+}
+
+module.exports = { createUpdateLog };
@@ -0,0 +1,78 @@
+// What the bot and the admin dashboard accept as post media, and as which
+// post type: "image", "video", "gif" (GIFs and Telegram's silent MP4
+// animations) or "audio".
+const DEFAULT_MIME_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'image/gif',
+    'video/mp4',
+    'video/quicktime',
+    'video/webm',
+    'audio/mpeg',
+    'audio/mp4',
+    'audio/x-m4a',
+    'audio/ogg',
+    'audio/wav',
+    'audio/flac'
+];
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/quicktime': 'mov',
+    'video/webm': 'webm',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/x-m4a': 'm4a',
+    'audio/ogg': 'ogg',
+    'audio/wav': 'wav',
+    'audio/flac': 'flac'
+};
+
+function postTypeFor(mimeType) {
+    const mime = String(mimeType || '').toLowerCase();
+    if (mime === 'image/gif') return 'gif';
+    if (mime.startsWith('image/')) return 'image';
+    if (mime.startsWith('video/')) return 'video';
+    if (mime.startsWith('audio/')) return 'audio';
+    return null;
+}
+
+function extensionFor(mimeType) {
+    return EXTENSIONS[String(mimeType || '').toLowerCase()] || null;
+}
+
+function formatMegabytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1).replace(/\.0$/, '')} MB`;
+}
+
+// maxBytes: largest accepted file; mimeTypes: accepted types, where
+// "image/*" accepts every image type
+function createUploadPolicy({ maxBytes = 20 * 1024 * 1024, mimeTypes = DEFAULT_MIME_TYPES } = {}) {
+    const allowed = mimeTypes.map(type => type.trim().toLowerCase()).filter(Boolean);
+
+    function isAllowedType(mimeType) {
+        const mime = String(mimeType || '').toLowerCase();
+        return allowed.some(type => type === mime ||
+            (type.endsWith('/*') && mime.startsWith(type.slice(0, -1))));
+    }
+
+    // Why a file cannot be uploaded, or null when it can
+    function rejection({ mimeType, size }) {
+        if (!postTypeFor(mimeType) || !isAllowedType(mimeType)) {
+            return `Unsupported file type (${mimeType || 'unknown'}). Accepted: ${allowed.join(', ')}`;
+        }
+        if (size && size > maxBytes) {
+            return `File too large (${formatMegabytes(size)}). The limit is ${formatMegabytes(maxBytes)}`;
+        }
+        return null;
+    }
+
+    return { maxBytes, isAllowedType, rejection };
+}
+
+module.exports = { createUploadPolicy, postTypeFor, extensionFor, DEFAULT_MIME_TYPES };
@@ -0,0 +1,98 @@
+// Buffers view events in memory and writes them to storage in batches.
+// A visitor viewing the same post again within `dedupeWindow` is not counted.
+function createViewCounter(storage, {
+    flushInterval = 10 * 1000,
+    dedupeWindow = 30 * 60 * 1000,
+    onFlush = () => {}
+} = {}) {
+    const pending = new Map(); // postId -> views not yet written
+    const lastSeen = new Map(); // `${postId}:${visitor}` -> timestamp
+    let timer = null;
+    let flushing = null;
+
+    function record(postId, visitor) {
+        const key = `${postId}:${visitor}`;
+        const now = Date.now();
+        const seen = lastSeen.get(key);
+
+        if (seen && now - seen < dedupeWindow) {
+            return false;
+        }
+
+        lastSeen.set(key, now);
+        pending.set(postId, (pending.get(postId) || 0) + 1);
+        return true;
+    }
+
+    function pendingFor(postId) {
+        return pending.get(postId) || 0;
+    }
+
+    function pendingTotal() {
+        let total = 0;
+        for (const count of pending.values()) total += count;
+        return total;
+    }
+
+    function pruneSeen() {
+        const cutoff = Date.now() - dedupeWindow;
+        for (const [key, seen] of lastSeen) {
+            if (seen < cutoff) lastSeen.delete(key);
+        }
+    }
+
+    async function writeBatch() {
+        const batch = [...pending.entries()];
+        pending.clear();
+
+        let written = 0;
+        for (const [postId, count] of batch) {
+            try {
+                await storage.updatePost(postId, post => {
+                    post.views = (post.views || 0) + count;
+                });
+                written++;
+            } catch (error) {
+                console.error(`Error flushing views for post ${postId}:`, error);
+                // Keep the views for the next flush
+                pending.set(postId, (pending.get(postId) || 0) + count);
+            }
+        }
+
+        pruneSeen();
+        if (written > 0) {
+            await onFlush();
+        }
+    }
+
+    // Concurrent callers share the flush in progress, then flush what arrived meanwhile
+    async function flush() {
+        while (flushing) await flushing;
+        if (pending.size === 0) return;
+
+        flushing = writeBatch();
+        try {
+            await flushing;
+        } finally {
+            flushing = null;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(() => {
+            flush().catch(error => console.error('Error flushing views:', error));
+        }, flushInterval);
+        timer.unref();
+    }
+
+    async function stop() {
+        clearInterval(timer);
+        timer = null;
+        await flush();
+    }
+
+    return { record, pendingFor, pendingTotal, flush, start, stop };
+}
+
+module.exports = { createViewCounter };
@@ -0,0 +1,299 @@
+// Admin dashboard for /api/admin. Signs in with the token from /token in the bot.
+const ADMIN_CONFIG = {
+    API_URL: '/api/admin',
+    TOKEN_KEY: 'adminToken'
+};
+
+let adminToken = localStorage.getItem(ADMIN_CONFIG.TOKEN_KEY);
+let currentAdmin = null;
+let adminPosts = [];
+
+const $ = (id) => document.getElementById(id);
+
+document.addEventListener('DOMContentLoaded', () => {
+    $('loginForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        signIn($('tokenInput').value.trim());
+    });
+    $('logoutBtn').addEventListener('click', signOut);
+    $('uploadForm').addEventListener('submit', uploadPost);
+    $('uploadStatus').addEventListener('change', () => {
+        $('uploadPublishAt').classList.toggle('hidden', $('uploadStatus').value !== 'scheduled');
+    });
+    $('statusFilter').addEventListener('change', loadAdminPosts);
+    $('bulkAction').addEventListener('change', updateBulkInputs);
+    $('bulkApply').addEventListener('click', applyBulkAction);
+    $('saveOrder').addEventListener('click', savePinnedOrder);
+    $('postList').addEventListener('click', handlePostAction);
+
+    if (adminToken) {
+        signIn(adminToken);
+    }
+});
+
+// Fetch JSON from the admin API; throws with the server's error message
+async function adminFetch(endpoint, options = {}) {
+    const response = await fetch(`${ADMIN_CONFIG.API_URL}${endpoint}`, {
+        ...options,
+        headers: {
+            Authorization: `Bearer ${adminToken}`,
+            ...(options.body && !(options.body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}),
+            ...options.headers
+        }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+        signOut();
+    }
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+}
+
+function can(permission) {
+    return Boolean(currentAdmin && currentAdmin.permissions.includes(permission));
+}
+
+async function signIn(token) {
+    adminToken = token;
+    try {
+        const data = await adminFetch('/me');
+        currentAdmin = data.admin;
+        localStorage.setItem(ADMIN_CONFIG.TOKEN_KEY, token);
+
+        $('adminInfo').textContent = `👤 ${currentAdmin.name || currentAdmin.id} · ${currentAdmin.role}`;
+        $('loginPanel').classList.add('hidden');
+        $('dashboard').classList.remove('hidden');
+        $('uploadPanel').classList.toggle('hidden', !can('upload'));
+
+        await Promise.all([loadAdminPosts(), loadCollectionOptions()]);
+    } catch (error) {
+        showToast(`Sign in failed: ${error.message}`, 'error');
+    }
+}
+
+function signOut() {
+    adminToken = null;
+    currentAdmin = null;
+    localStorage.removeItem(ADMIN_CONFIG.TOKEN_KEY);
+    $('dashboard').classList.add('hidden');
+    $('loginPanel').classList.remove('hidden');
+}
+
+async function loadAdminPosts() {
+    const status = $('statusFilter').value;
+    try {
+        const data = await adminFetch(`/posts${status ? `?status=${status}` : ''}`);
+        adminPosts = data.posts;
+        renderAdminPosts();
+    } catch (error) {
+        showToast(`Error loading posts: ${error.message}`, 'error');
+    }
+}
+
+async function loadCollectionOptions() {
+    try {
+        const response = await fetch('/api/collections');
+        const data = await response.json();
+        $('bulkCollection').innerHTML = (data.collections || [])
+            .map(c => `<option value="${escapeHtml(c.slug)}">${escapeHtml(c.title)}</option>`)
+            .join('');
+    } catch (error) {
+        console.error('Error loading collections:', error);
+    }
+}
+
+function renderAdminPosts() {
+    $('postCount').textContent = `(${adminPosts.length})`;
+
+    if (adminPosts.length === 0) {
+        $('postList').innerHTML = '<p class="note-text">No posts here.</p>';
+        return;
+    }
+
+    $('postList').innerHTML = adminPosts.map(post => {
+        const status = post.deleted_at ? 'trash' : (post.status || 'published');
+        let preview = `<img src="${post.thumbnail || post.media_url}" alt="" loading="lazy">`;
+        if (!post.thumbnail && post.type === 'audio') {
+            preview = '<i class="fas fa-music"></i>';
+        } else if (!post.thumbnail && (post.type === 'video' || post.type === 'gif') && !/\.gif$/i.test(post.media_url)) {
+            preview = `<video src="${post.media_url}" muted preload="metadata"></video>`;
+        }
+        const scheduled = post.publish_at ? ` · ⏰ ${new Date(post.publish_at).toLocaleString()}` : '';
+
+        return `
+            <div class="admin-post ${post.position ? 'pinned' : ''}" data-id="${post.id}">
+                <input type="checkbox" class="select-post">
+                <div class="admin-post-media">${preview}</div>
+                <div class="admin-post-fields">
+                    <input type="text" class="edit-caption" value="${escapeHtml(post.caption || '')}" ${can('edit') ? '' : 'disabled'}>
+                    <textarea class="edit-description" rows="2" ${can('edit') ? '' : 'disabled'}>${escapeHtml(post.description || '')}</textarea>
+                    <input type="text" class="edit-tags" value="${escapeHtml((post.tags || []).join(', '))}" ${can('edit') ? '' : 'disabled'}>
+                    <div class="admin-post-meta">
+                        <span class="status-badge ${status}">${status}</span>
+                        🆔 ${post.id} · 👁️ ${post.views || 0} · ${new Date(post.created_at).toLocaleString()}${scheduled}
+                    </div>
+                </div>
+                <div class="admin-post-actions">
+                    ${can('edit') ? `
+                        <button data-action="pin" title="Pin to the Featured order"><i class="fas fa-thumbtack"></i></button>
+                        <button data-action="up" title="Move up"><i class="fas fa-arrow-up"></i></button>
+                        <button data-action="down" title="Move down"><i class="fas fa-arrow-down"></i></button>
+                        <button data-action="save" title="Save changes"><i class="fas fa-save"></i></button>
+                    ` : ''}
+                    ${can('delete') && !post.deleted_at ? `
+                        <button data-action="delete" title="Move to trash"><i class="fas fa-trash"></i></button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function handlePostAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const row = button.closest('.admin-post');
+    const postId = row.dataset.id;
+
+    switch (button.dataset.action) {
+        case 'pin':
+            row.classList.toggle('pinned');
+            break;
+        case 'up':
+            if (row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+            break;
+        case 'down':
+            if (row.nextElementSibling) row.parentNode.insertBefore(row.nextElementSibling, row);
+            break;
+        case 'save':
+            try {
+                await adminFetch(`/posts/${postId}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({
+                        caption: row.querySelector('.edit-caption').value,
+                        description: row.querySelector('.edit-description').value,
+                        tags: row.querySelector('.edit-tags').value
+                    })
+                });
+                showToast('Post saved', 'success');
+            } catch (error) {
+                showToast(`Error saving post: ${error.message}`, 'error');
+            }
+            break;
+        case 'delete':
+            if (!confirm('Move this post to the trash?')) return;
+            try {
+                await adminFetch(`/posts/${postId}`, { method: 'DELETE' });
+                showToast('Post moved to trash', 'success');
+                loadAdminPosts();
+            } catch (error) {
+                showToast(`Error deleting post: ${error.message}`, 'error');
+            }
+            break;
+    }
+}
+
+async function uploadPost(e) {
+    e.preventDefault();
+
+    const form = new FormData();
+    for (const file of $('uploadFiles').files) {
+        form.append('media', file);
+    }
+    form.append('caption', $('uploadCaption').value);
+    form.append('description', $('uploadDescription').value);
+    form.append('tags', $('uploadTags').value);
+    form.append('status', $('uploadStatus').value);
+    if ($('uploadStatus').value === 'scheduled' && $('uploadPublishAt').value) {
+        // datetime-local is in the browser's time zone
+        form.append('publish_at', new Date($('uploadPublishAt').value).toISOString());
+    }
+
+    const button = $('uploadForm').querySelector('button[type="submit"]');
+    button.disabled = true;
+    try {
+        const data = await adminFetch('/posts', { method: 'POST', body: form });
+        showToast(`Uploaded "${data.post.caption}"`, 'success');
+        $('uploadForm').reset();
+        $('uploadPublishAt').classList.add('hidden');
+        loadAdminPosts();
+    } catch (error) {
+        showToast(`Upload failed: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function updateBulkInputs() {
+    const action = $('bulkAction').value;
+    $('bulkTags').classList.toggle('hidden', action !== 'tag' && action !== 'untag');
+    $('bulkCollection').classList.toggle('hidden', action !== 'collect' && action !== 'uncollect');
+}
+
+function selectedPostIds() {
+    return [...document.querySelectorAll('.admin-post .select-post:checked')]
+        .map(box => parseInt(box.closest('.admin-post').dataset.id));
+}
+
+async function applyBulkAction() {
+    const action = $('bulkAction').value;
+    const ids = selectedPostIds();
+    if (!action || ids.length === 0) {
+        return showToast('Pick an action and at least one post', 'warning');
+    }
+
+    try {
+        const data = await adminFetch('/posts/bulk', {
+            method: 'POST',
+            body: JSON.stringify({
+                action,
+                ids,
+                tags: $('bulkTags').value,
+                collection: $('bulkCollection').value
+            })
+        });
+        const done = data.results.filter(r => r.ok).length;
+        showToast(`${done} of ${ids.length} post(s) updated`, done === ids.length ? 'success' : 'warning');
+        loadAdminPosts();
+    } catch (error) {
+        showToast(`Bulk action failed: ${error.message}`, 'error');
+    }
+}
+
+async function savePinnedOrder() {
+    const ids = [...document.querySelectorAll('.admin-post.pinned')]
+        .map(row => parseInt(row.dataset.id));
+
+    try {
+        await adminFetch('/reorder', { method: 'POST', body: JSON.stringify({ ids }) });
+        showToast(ids.length ? `${ids.length} post(s) pinned` : 'All posts unpinned', 'success');
+        loadAdminPosts();
+    } catch (error) {
+        showToast(`Error saving order: ${error.message}`, 'error');
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+function showToast(message, type = 'info') {
+    const icon = {
+        success: 'fas fa-check-circle',
+        error: 'fas fa-exclamation-circle',
+        info: 'fas fa-info-circle',
+        warning: 'fas fa-exclamation-triangle'
+    }[type] || 'fas fa-info-circle';
+
+    const toast = $('toast');
+    toast.innerHTML = `<i class="${icon}"></i><span>${escapeHtml(message)}</span>`;
+    toast.className = `toast ${type} show`;
+
+    setTimeout(() => toast.classList.remove('show'), 3000);
+}
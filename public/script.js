@@ -4,31 +4,56 @@ const CONFIG = {
         ? 'http://localhost:3000/api' 
         : '/api',
     ITEMS_PER_LOAD: 12,
-    AUTO_REFRESH_INTERVAL: 30000, // 30 seconds
-    ADMIN_USERNAMES: ['admin', 'owner', 'authorized'], // Allowed admin usernames
+    SEARCH_DEBOUNCE: 300, // ms to wait after typing before searching
     VERSION: '1.0.0'
 };
 
+// Post types with their badge label and Font Awesome icon
+const MEDIA_TYPES = {
+    image: { label: 'Photo', icon: 'image' },
+    video: { label: 'Video', icon: 'video' },
+    gif: { label: 'GIF', icon: 'film' },
+    audio: { label: 'Audio', icon: 'music' }
+};
+
 // Global State
 let allPosts = [];
 let filteredPosts = [];
 let currentFilter = 'all';
-let currentPage = 1;
+let searchQuery = '';
+let currentSort = 'featured';
+let activeTag = null;
+let currentCollection = null;
+let serverStats = null;
+let activeRequest = null;
+let lastRefreshTime = null;
+let nextCursor = null;
 let isLoading = false;
 let totalPosts = 0;
 let currentLightboxIndex = -1;
-let onlineUsers = 1;
+let currentMediaIndex = 0;
+let onlineUsers = 0;
+let offlineMode = false;
+// Reaction emojis (the server sends the current set) and the ones this visitor gave, by post id
+let reactionChoices = ['❤️', '🔥', '😂', '😮', '👏'];
+let myReactions = {};
 
 // DOM Elements
 const elements = {
     contentGrid: document.getElementById('contentGrid'),
     loadMoreBtn: document.getElementById('loadMoreBtn'),
+    loadMoreContainer: document.querySelector('.load-more-container'),
     totalPosts: document.getElementById('totalPosts'),
     totalViews: document.getElementById('totalViews'),
     onlineUsers: document.getElementById('onlineUsers'),
     lastUpdate: document.getElementById('lastUpdate'),
     showingCount: document.getElementById('showingCount'),
     totalCount: document.getElementById('totalCount'),
+    searchInput: document.getElementById('searchInput'),
+    sortSelect: document.getElementById('sortSelect'),
+    tagChips: document.getElementById('tagChips'),
+    collectionList: document.getElementById('collectionList'),
+    collectionHeader: document.getElementById('collectionHeader'),
     lightbox: document.getElementById('lightbox'),
     toast: document.getElementById('toast'),
     loadingOverlay: document.getElementById('loadingOverlay')
@@ -38,22 +63,26 @@ const elements = {
 document.addEventListener('DOMContentLoaded', function() {
     initializeApp();
     setupEventListeners();
-    startAutoRefresh();
-    updateOnlineUsers();
+    startLiveUpdates();
 });
 
 // Initialize Application
 function initializeApp() {
+    const urlParams = new URLSearchParams(window.location.search);
+    activeTag = urlParams.get('tag');
+    currentCollection = urlParams.get('collection');
+    
+    // Check URL for direct post: /p/<id>, or ?post=<id> from older links
+    const pathMatch = window.location.pathname.match(/^\/p\/(\d+)/);
+    const postId = pathMatch ? pathMatch[1] : urlParams.get('post');
+    
     showLoading(true);
-    loadPosts();
+    loadPosts().then(() => {
+        if (postId) openPostById(postId);
+    });
     updateStats();
-    
-    // Check URL for direct post
-    const urlParams = new URLSearchParams(window.location.search);
-    const postId = urlParams.get('post');
-    if (postId) {
-        setTimeout(() => openPostById(postId), 1000);
-    }
+    loadTags();
+    loadCollections();
 }
 
 // Setup Event Listeners
@@ -66,6 +95,47 @@ function setupEventListeners() {
         });
     });
     
+    // Search (debounced) and sort
+    let searchTimer = null;
+    elements.searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            const query = elements.searchInput.value.trim();
+            if (query === searchQuery) return;
+            searchQuery = query;
+            loadPosts();
+        }, CONFIG.SEARCH_DEBOUNCE);
+    });
+    
+    elements.sortSelect.addEventListener('change', () => {
+        currentSort = elements.sortSelect.value;
+        loadPosts();
+    });
+    
+    // Card clicks (cards are appended as more posts load)
+    elements.contentGrid.addEventListener('click', (e) => {
+        const tagChip = e.target.closest('.tag-chip');
+        if (tagChip) {
+            setTag(tagChip.dataset.tag);
+            return;
+        }
+        
+        const card = e.target.closest('.post-card');
+        if (card) {
+            openLightbox(filteredPosts.find(p => p.id == card.dataset.id));
+        }
+    });
+    
+    // Infinite scroll: load the next page as the bottom of the grid comes into view
+    if ('IntersectionObserver' in window) {
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting && nextCursor && !isLoading) {
+                loadPosts(true);
+            }
+        }, { rootMargin: '400px 0px' });
+        observer.observe(elements.loadMoreContainer);
+    }
+    
     // Lightbox close on click outside
     elements.lightbox.addEventListener('click', function(e) {
         if (e.target === this) {
@@ -73,17 +143,37 @@ function setupEventListeners() {
         }
     });
     
+    // Tag chips inside the lightbox
+    document.getElementById('lightboxTags').addEventListener('click', (e) => {
+        const chip = e.target.closest('.tag-chip');
+        if (chip) setTag(chip.dataset.tag);
+    });
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', function(e) {
         if (e.key === 'Escape') closeLightbox();
-        if (e.key === 'ArrowLeft' && isLightboxOpen()) previousPost();
-        if (e.key === 'ArrowRight' && isLightboxOpen()) nextPost();
+        if (e.key === 'ArrowLeft' && isLightboxOpen()) previousMediaOrPost();
+        if (e.key === 'ArrowRight' && isLightboxOpen()) nextMediaOrPost();
+    });
+    
+    // Swipe between album items (or posts) in the lightbox
+    const lightboxMedia = document.getElementById('lightboxMedia');
+    let touchStartX = null;
+    lightboxMedia.addEventListener('touchstart', (e) => {
+        touchStartX = e.changedTouches[0].clientX;
+    }, { passive: true });
+    lightboxMedia.addEventListener('touchend', (e) => {
+        if (touchStartX === null) return;
+        const dx = e.changedTouches[0].clientX - touchStartX;
+        touchStartX = null;
+        if (Math.abs(dx) < 50) return;
+        if (dx > 0) previousMediaOrPost();
+        else nextMediaOrPost();
     });
     
     // Refresh button
     window.refreshContent = function() {
         showToast('Refreshing content...', 'info');
-        currentPage = 1;
         loadPosts();
     };
     
@@ -106,15 +196,58 @@ function setupEventListeners() {
     }
 }
 
-// Load Posts from API
-async function loadPosts() {
-    if (isLoading) return;
+// Build the /api/posts query for the current filter, search and sort
+function buildPostsQuery(cursor) {
+    const params = new URLSearchParams({
+        limit: CONFIG.ITEMS_PER_LOAD,
+        sort: currentFilter === 'latest' ? 'newest' : currentSort
+    });
     
+    if (cursor) {
+        params.set('cursor', cursor);
+    }
+    if (Object.hasOwn(MEDIA_TYPES, currentFilter)) {
+        params.set('type', currentFilter);
+    }
+    if (searchQuery) {
+        params.set('q', searchQuery);
+    }
+    if (activeTag) {
+        params.set('tags', activeTag);
+    }
+    
+    return params.toString();
+}
+
+// Load Posts from API. `append` continues from nextCursor; otherwise the grid
+// starts over from the first page.
+async function loadPosts(append = false) {
+    if (append && (isLoading || !nextCursor)) return;
+    
+    // A fresh load (filter/search change) replaces any request in flight
+    if (activeRequest) {
+        activeRequest.abort();
+    }
+    
+    const request = new AbortController();
+    activeRequest = request;
     isLoading = true;
-    showLoading(true);
+    showLoading(!append);
     
     try {
-        const response = await fetch(`${CONFIG.API_URL}/posts?page=${currentPage}&limit=${CONFIG.ITEMS_PER_LOAD}`);
+        const query = buildPostsQuery(append ? nextCursor : null);
+        const endpoint = currentCollection
+            ? `/collections/${encodeURIComponent(currentCollection)}`
+            : '/posts';
+        const response = await fetch(`${CONFIG.API_URL}${endpoint}?${query}`, {
+            signal: request.signal
+        });
+        
+        if (response.status === 404 && currentCollection) {
+            showToast('Collection not found', 'error');
+            closeCollection();
+            return;
+        }
         
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}`);
@@ -123,49 +256,71 @@ async function loadPosts() {
         const data = await response.json();
         
         if (data.success) {
-            if (currentPage === 1) {
-                allPosts = data.posts;
-            } else {
-                allPosts = [...allPosts, ...data.posts];
+            offlineMode = false;
+            
+            // The service worker answered from its cache; pick up what changed since
+            const cachedAt = response.headers.get('X-Cached-At');
+            if (cachedAt && !append) {
+                if (!lastRefreshTime || cachedAt < lastRefreshTime) {
+                    lastRefreshTime = cachedAt;
+                }
+                catchUp();
             }
             
+            if (data.collection) {
+                showCollectionHeader(data.collection);
+            }
+            
+            // The "Latest" filter shows only the first page
+            nextCursor = currentFilter === 'latest' ? null : data.next_cursor;
             totalPosts = data.total;
-            applyFilter();
-            updateDisplay();
+            serverStats = data.stats || serverStats;
+            
+            if (append) {
+                // A post opened from a link may already be loaded
+                const newPosts = data.posts.filter(post => !allPosts.some(p => p.id === post.id));
+                allPosts = [...allPosts, ...newPosts];
+                applyFilter();
+                renderPosts(newPosts);
+                updateCounters();
+            } else {
+                allPosts = data.posts;
+                applyFilter();
+                updateDisplay();
+            }
             
             // Update last update time
             elements.lastUpdate.textContent = formatTimeAgo(new Date());
             
             // Show notification for new posts
-            if (currentPage === 1 && data.posts.length > 0) {
+            if (!append && data.posts.length > 0 && !searchQuery) {
                 showToast(`Loaded ${data.posts.length} posts`, 'success');
             }
             
             // Hide load more if no more posts
-            if (allPosts.length >= totalPosts) {
-                elements.loadMoreBtn.style.display = 'none';
-            } else {
-                elements.loadMoreBtn.style.display = 'block';
-            }
+            elements.loadMoreBtn.style.display = nextCursor ? 'block' : 'none';
         }
     } catch (error) {
+        if (error.name === 'AbortError') return;
+        
         console.error('Error loading posts:', error);
-        showToast('Failed to load content. Please refresh.', 'error');
         
-        // Fallback to sample data
-        loadSampleData();
+        // Offline (or the server is down): show the posts kept by the service worker
+        loadOfflineGallery();
     } finally {
-        isLoading = false;
-        showLoading(false);
+        if (activeRequest === request) {
+            activeRequest = null;
+            isLoading = false;
+            showLoading(false);
+        }
     }
 }
 
-// Load More Posts
+// Load More Posts (fallback for browsers without IntersectionObserver)
 window.loadMorePosts = function() {
-    if (isLoading) return;
+    if (isLoading || !nextCursor) return;
     
-    currentPage++;
-    loadPosts();
+    loadPosts(true);
     showToast('Loading more posts...', 'info');
 };
 
@@ -178,33 +333,154 @@ function setFilter(filter) {
         btn.classList.toggle('active', btn.dataset.filter === filter);
     });
     
-    applyFilter();
-    renderPosts();
+    // Filtering happens on the server, so start again from the first page
+    loadPosts();
     
     // Scroll to top of grid
     elements.contentGrid.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
+// Tags
+async function loadTags() {
+    try {
+        const response = await fetch(`${CONFIG.API_URL}/tags`);
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        if (data.success) {
+            renderTagChips(data.tags.slice(0, 20));
+        }
+    } catch (error) {
+        console.error('Error loading tags:', error);
+    }
+}
+
+function renderTagChips(tags) {
+    elements.tagChips.innerHTML = tags.map(({ tag, count }) => `
+        <button class="tag-chip ${tag === activeTag ? 'active' : ''}" data-tag="${escapeHtml(tag)}">
+            #${escapeHtml(tag)}<span class="tag-count">${count}</span>
+        </button>
+    `).join('');
+    
+    elements.tagChips.querySelectorAll('.tag-chip').forEach(chip => {
+        chip.addEventListener('click', () => setTag(chip.dataset.tag));
+    });
+}
+
+// Toggle a tag filter; clicking the active tag clears it
+function setTag(tag) {
+    activeTag = activeTag === tag ? null : tag;
+    
+    elements.tagChips.querySelectorAll('.tag-chip').forEach(chip => {
+        chip.classList.toggle('active', chip.dataset.tag === activeTag);
+    });
+    updateUrl();
+    
+    if (isLightboxOpen()) closeLightbox();
+    loadPosts();
+    elements.contentGrid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Collections
+async function loadCollections() {
+    try {
+        const response = await fetch(`${CONFIG.API_URL}/collections`);
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        if (!data.success) return;
+        
+        elements.collectionList.innerHTML = data.collections
+            .filter(c => c.post_count > 0)
+            .map(c => `
+                <button class="collection-card" onclick="openCollection('${encodeURIComponent(c.slug)}')">
+                    ${c.cover
+                        ? `<img src="${c.cover}" alt="" loading="lazy">`
+                        : '<span class="collection-icon"><i class="fas fa-folder"></i></span>'
+                    }
+                    <span>${escapeHtml(c.title)} · ${c.post_count}</span>
+                </button>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading collections:', error);
+    }
+}
+
+window.openCollection = function(slug) {
+    currentCollection = decodeURIComponent(slug);
+    updateUrl();
+    loadPosts();
+    window.scrollTo({ top: elements.collectionHeader.offsetTop - 20, behavior: 'smooth' });
+};
+
+window.closeCollection = function() {
+    currentCollection = null;
+    elements.collectionHeader.style.display = 'none';
+    elements.collectionList.style.display = '';
+    updateUrl();
+    loadPosts();
+};
+
+function showCollectionHeader(collection) {
+    document.getElementById('collectionTitle').textContent = collection.title;
+    document.getElementById('collectionDescription').textContent = collection.description || '';
+    elements.collectionHeader.style.display = 'flex';
+    elements.collectionList.style.display = 'none';
+}
+
+// Keep ?collection= and ?tag= in the address bar so the view can be shared
+function updateUrl() {
+    const params = new URLSearchParams();
+    if (currentCollection) params.set('collection', currentCollection);
+    if (activeTag) params.set('tag', activeTag);
+    
+    const query = params.toString();
+    // A closed post page goes back to the gallery
+    const pathname = window.location.pathname.startsWith('/p/') ? '/' : window.location.pathname;
+    history.replaceState(null, '', query ? `${pathname}?${query}` : pathname);
+}
+
+function renderPostTags(post) {
+    return (post.tags || []).map(tag =>
+        `<button class="tag-chip" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`
+    ).join('');
+}
+
+// allPosts is replaced rather than changed in place, so the post open in the
+// lightbox can still be found in the previous list and followed to its new index
 function applyFilter() {
-    switch (currentFilter) {
-        case 'image':
-            filteredPosts = allPosts.filter(post => post.type === 'image');
-            break;
-        case 'video':
-            filteredPosts = allPosts.filter(post => post.type === 'video');
-            break;
-        case 'latest':
-            filteredPosts = [...allPosts]
-                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-                .slice(0, 12);
-            break;
-        default:
-            filteredPosts = allPosts;
+    const openPost = isLightboxOpen() ? filteredPosts[currentLightboxIndex] : null;
+    
+    // Posts arrive already filtered and sorted by the API
+    filteredPosts = allPosts;
+    
+    if (openPost) {
+        currentLightboxIndex = filteredPosts.findIndex(p => p.id === openPost.id);
     }
 }
 
-// Render Posts to Grid
-function renderPosts() {
+// Render Posts to Grid. With `newPosts`, only those cards are appended.
+function renderPosts(newPosts) {
+    if (newPosts) {
+        const offset = filteredPosts.length - newPosts.length;
+        elements.contentGrid.insertAdjacentHTML('beforeend',
+            newPosts.map((post, index) => createPostCard(post, offset + index)).join(''));
+        return;
+    }
+    
+    if (filteredPosts.length === 0 && (searchQuery || activeTag || currentCollection || currentFilter !== 'all')) {
+        elements.contentGrid.innerHTML = `
+            <div class="empty-state" style="grid-column: 1 / -1; text-align: center; padding: 60px 20px;">
+                <i class="fas fa-search" style="font-size: 4rem; color: var(--text-muted); margin-bottom: 20px;"></i>
+                <h3 style="color: var(--text-primary); margin-bottom: 15px; font-size: 1.5rem;">No Matching Posts</h3>
+                <p style="color: var(--text-muted); max-width: 500px; margin: 0 auto;">
+                    Try a different search or filter.
+                </p>
+            </div>
+        `;
+        return;
+    }
+    
     if (filteredPosts.length === 0) {
         elements.contentGrid.innerHTML = `
             <div class="empty-state" style="grid-column: 1 / -1; text-align: center; padding: 60px 20px;">
@@ -226,41 +502,88 @@ function renderPosts() {
         return;
     }
     
-    const startIndex = (currentPage - 1) * CONFIG.ITEMS_PER_LOAD;
-    const endIndex = Math.min(startIndex + CONFIG.ITEMS_PER_LOAD, filteredPosts.length);
-    const postsToShow = filteredPosts.slice(startIndex, endIndex);
-    
-    elements.contentGrid.innerHTML = postsToShow.map((post, index) => createPostCard(post, index)).join('');
+    elements.contentGrid.innerHTML = filteredPosts.map((post, index) => createPostCard(post, index)).join('');
+}
+
+// srcset from the server-generated variants, so the browser picks the
+// smallest image that is sharp enough
+function variantSrcset(variants) {
+    return ['thumb', 'medium', 'full']
+        .map(name => variants && variants[name])
+        .filter(variant => variant && variant.width)
+        .map(variant => `${variant.url} ${variant.width}w`)
+        .join(', ');
+}
+
+// Poster frame for a video, if the server made one
+function videoPoster(item) {
+    const variants = item.variants || {};
+    return (variants.medium || variants.poster || {}).url || item.thumbnail || '';
+}
+
+// GIF posts are either real GIF files or MP4 animations from Telegram
+function isGifFile(item) {
+    return item.mime_type === 'image/gif' || /\.gif$/i.test(item.media_url || '');
+}
+
+function mediaTypeInfo(type) {
+    return MEDIA_TYPES[type] || MEDIA_TYPES.image;
+}
+
+// Cover art of an audio post, or a music icon
+function audioCoverHtml(item, alt) {
+    const cover = videoPoster(item);
+    return cover
+        ? `<img src="${cover}" alt="${escapeHtml(alt || '')}" loading="lazy">`
+        : '<div class="audio-cover"><i class="fas fa-music"></i></div>';
+}
+
+// Grid preview of a post's first item
+function cardMediaHtml(post) {
+    const variants = post.variants || {};
+    const poster = videoPoster(post);
     
-    // Add click handlers
-    document.querySelectorAll('.post-card').forEach((card, index) => {
-        card.addEventListener('click', () => openLightbox(postsToShow[index]));
-    });
+    switch (post.type) {
+        case 'video':
+            return `<video muted playsinline poster="${poster}" preload="${poster ? 'none' : 'metadata'}">
+                        <source src="${post.media_url}" type="${post.mime_type || 'video/mp4'}">
+                        Your browser does not support video.
+                    </video>`;
+        case 'gif':
+            return isGifFile(post)
+                ? `<img src="${post.media_url}" alt="${escapeHtml(post.caption || '')}" loading="lazy">`
+                : `<video autoplay loop muted playsinline poster="${poster}" src="${post.media_url}"></video>`;
+        case 'audio':
+            return audioCoverHtml(post, post.caption);
+        default:
+            return `<img src="${(variants.medium || variants.thumb || {}).url || post.media_url}"
+                        srcset="${variantSrcset(variants)}"
+                        sizes="(max-width: 768px) 100vw, 400px"
+                        alt="${escapeHtml(post.caption || '')}" loading="lazy">`;
+    }
 }
 
 // Create Post Card HTML
 function createPostCard(post, index) {
     const timeAgo = formatTimeAgo(new Date(post.created_at));
     const views = post.views || 0;
+    const info = mediaTypeInfo(post.type);
     
     return `
         <div class="post-card" data-id="${post.id}" data-index="${index}">
             <div class="post-media">
-                ${post.type === 'video' 
-                    ? `<video muted playsinline poster="${post.thumbnail || ''}">
-                         <source src="${post.media_url}" type="video/mp4">
-                         Your browser does not support video.
-                       </video>`
-                    : `<img src="${post.media_url}" alt="${post.caption}" loading="lazy">`
-                }
+                ${cardMediaHtml(post)}
                 <span class="media-type-badge">
-                    <i class="fas fa-${post.type === 'video' ? 'video' : 'image'}"></i>
-                    ${post.type === 'video' ? 'Video' : 'Photo'}
+                    ${post.media && post.media.length > 1
+                        ? `<i class="fas fa-images"></i> Album · ${post.media.length}`
+                        : `<i class="fas fa-${info.icon}"></i> ${info.label}`
+                    }
                 </span>
             </div>
             <div class="post-content">
                 <h3 class="post-title">${escapeHtml(post.caption || 'Untitled')}</h3>
                 <p class="post-description">${escapeHtml(post.description || '')}</p>
+                <div class="post-tags">${renderPostTags(post)}</div>
                 <div class="post-meta">
                     <div class="meta-item">
                         <i class="fas fa-user"></i>
@@ -284,30 +607,33 @@ function createPostCard(post, index) {
 function updateDisplay() {
     renderPosts();
     updateStats();
-    
-    // Update counters
-    const showing = Math.min(currentPage * CONFIG.ITEMS_PER_LOAD, filteredPosts.length);
-    elements.showingCount.textContent = showing;
-    elements.totalCount.textContent = filteredPosts.length;
+    updateCounters();
+}
+
+function updateCounters() {
+    elements.showingCount.textContent = filteredPosts.length;
+    elements.totalCount.textContent = currentFilter === 'latest' ? filteredPosts.length : totalPosts;
 }
 
 // Update Statistics
 function updateStats() {
+    // Loaded posts may be a filtered subset, so prefer the server's totals
+    if (serverStats) {
+        elements.totalPosts.textContent = serverStats.total_posts;
+        elements.totalViews.textContent = serverStats.total_views.toLocaleString();
+        return;
+    }
+    
     const totalViews = allPosts.reduce((sum, post) => sum + (post.views || 0), 0);
     
     elements.totalPosts.textContent = allPosts.length;
     elements.totalViews.textContent = totalViews.toLocaleString();
 }
 
-// Update Online Users (simulated)
-function updateOnlineUsers() {
-    // Simulate random online users between 1-50
-    const randomUsers = Math.floor(Math.random() * 50) + 1;
-    onlineUsers = randomUsers;
+// Visitors connected to the live stream right now
+function updateOnlineUsers(count) {
+    onlineUsers = count;
     elements.onlineUsers.textContent = onlineUsers;
-    
-    // Update every minute
-    setTimeout(updateOnlineUsers, 60000);
 }
 
 // Lightbox Functions
@@ -318,27 +644,23 @@ function openLightbox(post) {
     if (currentLightboxIndex === -1) return;
     
     const postData = filteredPosts[currentLightboxIndex];
+    currentMediaIndex = 0;
     
     // Update lightbox content
     document.getElementById('lightboxTitle').textContent = postData.caption || 'Untitled';
     document.getElementById('lightboxDescription').textContent = postData.description || '';
+    document.getElementById('lightboxTags').innerHTML = renderPostTags(postData);
     document.getElementById('lightboxAuthor').textContent = postData.author || 'Admin';
     document.getElementById('lightboxDate').textContent = formatDate(new Date(postData.created_at));
     document.getElementById('lightboxViews').textContent = `${postData.views || 0} views`;
-    document.getElementById('lightboxType').textContent = postData.type === 'video' ? 'Video' : 'Image';
+    document.getElementById('lightboxType').textContent = getMediaItems(postData).length > 1
+        ? `Album (${postData.media.length})`
+        : mediaTypeInfo(postData.type).label;
     
     // Update media
-    const mediaContainer = document.getElementById('lightboxMedia');
-    if (postData.type === 'video') {
-        mediaContainer.innerHTML = `
-            <video controls autoplay playsinline>
-                <source src="${postData.media_url}" type="video/mp4">
-                Your browser does not support video.
-            </video>
-        `;
-    } else {
-        mediaContainer.innerHTML = `<img src="${postData.media_url}" alt="${postData.caption}">`;
-    }
+    renderLightboxMedia(postData);
+    renderReactions(postData);
+    loadReactions(postData.id);
     
     // Show lightbox
     elements.lightbox.style.display = 'block';
@@ -346,21 +668,124 @@ function openLightbox(post) {
     
     // Increment view count
     incrementViewCount(postData.id);
+    keepPostOffline(postData);
+}
+
+// Albums keep their items in `media`; single posts are their own item
+function getMediaItems(post) {
+    return post.media && post.media.length > 0 ? post.media : [post];
+}
+
+function lightboxMediaHtml(item, alt) {
+    switch (item.type) {
+        case 'video':
+            return `
+                <video controls autoplay playsinline poster="${videoPoster(item)}">
+                    <source src="${item.media_url}" type="${item.mime_type || 'video/mp4'}">
+                    Your browser does not support video.
+                </video>
+            `;
+        case 'gif':
+            return isGifFile(item)
+                ? `<img src="${item.media_url}" alt="${escapeHtml(alt || '')}">`
+                : `<video autoplay loop muted playsinline poster="${videoPoster(item)}" src="${item.media_url}"></video>`;
+        case 'audio': {
+            const credits = [item.performer, item.title].filter(Boolean).join(' – ');
+            return `
+                <div class="audio-player">
+                    ${audioCoverHtml(item, alt)}
+                    ${credits ? `<p class="audio-credits">${escapeHtml(credits)}</p>` : ''}
+                    <audio controls autoplay src="${item.media_url}">
+                        Your browser does not support audio.
+                    </audio>
+                </div>
+            `;
+        }
+        default:
+            return `<img src="${item.media_url}" srcset="${variantSrcset(item.variants)}" sizes="100vw" alt="${escapeHtml(alt || '')}">`;
+    }
+}
+
+function renderLightboxMedia(post) {
+    const mediaContainer = document.getElementById('lightboxMedia');
+    const items = getMediaItems(post);
+    
+    if (items.length === 1) {
+        mediaContainer.innerHTML = lightboxMediaHtml(items[0], post.caption);
+        return;
+    }
+    
+    const item = items[currentMediaIndex];
+    mediaContainer.innerHTML = `
+        <div class="carousel">
+            <div class="carousel-stage">${lightboxMediaHtml(item, post.caption)}</div>
+            <button class="carousel-arrow prev" onclick="showMediaItem(${currentMediaIndex - 1})" ${currentMediaIndex === 0 ? 'disabled' : ''}>
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            <button class="carousel-arrow next" onclick="showMediaItem(${currentMediaIndex + 1})" ${currentMediaIndex === items.length - 1 ? 'disabled' : ''}>
+                <i class="fas fa-chevron-right"></i>
+            </button>
+            <span class="carousel-counter">${currentMediaIndex + 1} / ${items.length}</span>
+            <div class="carousel-thumbs">
+                ${items.map((thumb, index) => `
+                    <button class="carousel-thumb ${index === currentMediaIndex ? 'active' : ''}" onclick="showMediaItem(${index})">
+                        ${thumb.thumbnail
+                            ? `<img src="${thumb.thumbnail}" alt="" loading="lazy">`
+                            : thumb.type === 'audio'
+                                ? '<i class="fas fa-music"></i>'
+                                : thumb.type === 'image' || isGifFile(thumb)
+                                    ? `<img src="${thumb.media_url}" alt="" loading="lazy">`
+                                    : `<video muted playsinline preload="metadata" src="${thumb.media_url}"></video>`
+                        }
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Show one item of the album open in the lightbox
+window.showMediaItem = function(index) {
+    if (currentLightboxIndex === -1) return;
+    
+    const post = filteredPosts[currentLightboxIndex];
+    const items = getMediaItems(post);
+    if (index < 0 || index >= items.length) return;
+    
+    currentMediaIndex = index;
+    renderLightboxMedia(post);
+};
+
+// Arrow keys and swipes move through an album first, then on to the next post
+function previousMediaOrPost() {
+    if (currentMediaIndex > 0) {
+        showMediaItem(currentMediaIndex - 1);
+    } else {
+        previousPost();
+    }
+}
+
+function nextMediaOrPost() {
+    const post = filteredPosts[currentLightboxIndex];
+    if (post && currentMediaIndex < getMediaItems(post).length - 1) {
+        showMediaItem(currentMediaIndex + 1);
+    } else {
+        nextPost();
+    }
 }
 
 function closeLightbox() {
     elements.lightbox.style.display = 'none';
     document.body.style.overflow = 'auto';
     
-    // Stop video if playing
-    const video = elements.lightbox.querySelector('video');
-    if (video) {
-        video.pause();
-        video.currentTime = 0;
-    }
+    // Stop video or audio if playing
+    elements.lightbox.querySelectorAll('video, audio').forEach(player => {
+        player.pause();
+        player.currentTime = 0;
+    });
     
     // Update URL
-    history.replaceState(null, '', window.location.pathname);
+    updateUrl();
 }
 
 function isLightboxOpen() {
@@ -381,27 +806,59 @@ function nextPost() {
     }
 }
 
-function openPostById(postId) {
-    const post = allPosts.find(p => p.id == postId);
+// Open a post from a link. One beyond the loaded pages is fetched by ID and
+// added to the end of the grid.
+async function openPostById(postId) {
+    let post = allPosts.find(p => p.id == postId);
+    
+    if (!post && !offlineMode) {
+        try {
+            const response = await fetch(`${CONFIG.API_URL}/posts?ids=${encodeURIComponent(postId)}`);
+            const data = response.ok ? await response.json() : null;
+            post = data && data.success ? data.posts[0] : null;
+        } catch (error) {
+            console.error('Error loading post:', error);
+        }
+        
+        if (post && !allPosts.some(p => p.id === post.id)) {
+            allPosts = [...allPosts, post];
+            applyFilter();
+            renderPosts([post]);
+            updateCounters();
+        }
+    }
+    
     if (post) {
         openLightbox(post);
+    } else {
+        showToast('Post not found', 'error');
     }
 }
 
 // API Functions
 async function incrementViewCount(postId) {
     try {
-        await fetch(`${CONFIG.API_URL}/posts/${postId}/view`, {
+        const response = await fetch(`${CONFIG.API_URL}/posts/${postId}/view`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
-            }
+            },
+            // Where the visitor came from, for the referrer stats
+            body: JSON.stringify({ referrer: document.referrer })
         });
         
-        // Update local count
+        if (!response.ok) return;
+        const data = await response.json();
+        if (!data.success) return;
+        
+        if (data.counted && serverStats) {
+            serverStats.total_views++;
+        }
+        
+        // Use the server's count (it deduplicates repeat views)
         const post = allPosts.find(p => p.id == postId);
         if (post) {
-            post.views = (post.views || 0) + 1;
+            post.views = data.views;
             updateStats();
             
             // Update in filtered posts too
@@ -410,11 +867,98 @@ async function incrementViewCount(postId) {
                 filteredPost.views = post.views;
             }
         }
+        
+        const current = filteredPosts[currentLightboxIndex];
+        if (isLightboxOpen() && current && current.id == postId) {
+            document.getElementById('lightboxViews').textContent = `${data.views} views`;
+        }
     } catch (error) {
         console.error('Error incrementing view count:', error);
     }
 }
 
+// Reactions: one button per emoji with its count; the visitor's own are highlighted
+function renderReactions(post) {
+    const counts = post.reactions || {};
+    const given = myReactions[post.id] || [];
+    
+    document.getElementById('lightboxReactions').innerHTML = reactionChoices.map((emoji, index) => `
+        <button class="reaction-btn${given.includes(emoji) ? ' active' : ''}" onclick="toggleReaction(${index})" aria-pressed="${given.includes(emoji)}">
+            <span class="reaction-emoji">${emoji}</span>
+            <span class="reaction-count">${counts[emoji] || 0}</span>
+        </button>
+    `).join('');
+}
+
+// New counts for a post, from a reaction or the live stream
+function setPostReactions(postId, reactions) {
+    const post = allPosts.find(p => p.id == postId);
+    if (post) {
+        post.reactions = reactions;
+    }
+    const filteredPost = filteredPosts.find(p => p.id == postId);
+    if (filteredPost) {
+        filteredPost.reactions = reactions;
+    }
+    
+    const current = filteredPosts[currentLightboxIndex];
+    if (isLightboxOpen() && current && current.id == postId) {
+        renderReactions(current);
+    }
+}
+
+// Which reactions this visitor already gave (the server knows them by a cookie)
+async function loadReactions(postId) {
+    if (offlineMode) return;
+    
+    try {
+        const response = await fetch(`${CONFIG.API_URL}/posts/${postId}/reactions`);
+        if (!response.ok) return;
+        const data = await response.json();
+        if (!data.success) return;
+        
+        reactionChoices = data.available;
+        myReactions[postId] = data.reacted;
+        setPostReactions(postId, data.reactions);
+    } catch (error) {
+        console.error('Error loading reactions:', error);
+    }
+}
+
+// React with an emoji, or take the reaction back
+window.toggleReaction = async function(index) {
+    if (currentLightboxIndex === -1) return;
+    
+    const post = filteredPosts[currentLightboxIndex];
+    const emoji = reactionChoices[index];
+    
+    try {
+        const response = await fetch(`${CONFIG.API_URL}/posts/${post.id}/reactions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ emoji })
+        });
+        
+        if (response.status === 429) {
+            showToast('Too many reactions, please slow down', 'warning');
+            return;
+        }
+        const data = await response.json();
+        if (!data.success) {
+            showToast(data.error || 'Could not save your reaction', 'error');
+            return;
+        }
+        
+        myReactions[post.id] = data.reacted;
+        setPostReactions(post.id, data.reactions);
+    } catch (error) {
+        console.error('Error reacting:', error);
+        showToast(offlineMode ? 'Reactions need a connection' : 'Could not save your reaction', 'error');
+    }
+};
+
 // Utility Functions
 function formatTimeAgo(date) {
     const now = new Date();
@@ -483,42 +1027,146 @@ function showToast(message, type = 'info') {
     }, 3000);
 }
 
-// Auto Refresh
-function startAutoRefresh() {
-    setInterval(async () => {
-        try {
-            const response = await fetch(`${CONFIG.API_URL}/posts/latest`);
-            if (response.ok) {
-                const data = await response.json();
-                if (data.success && data.posts.length > 0) {
-                    const latestId = data.posts[0].id;
-                    const currentLatestId = allPosts[0]?.id;
-                    
-                    if (latestId !== currentLatestId) {
-                        // New content available
-                        if (currentPage === 1) {
-                            // Refresh if on first page
-                            currentPage = 1;
-                            loadPosts();
-                        } else {
-                            // Show notification
-                            showToast('New content available! Refresh to see.', 'info');
-                        }
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Auto refresh error:', error);
+// Live updates over server-sent events: online count, stats and post changes
+function startLiveUpdates() {
+    if (!window.EventSource) return;
+    
+    const source = new EventSource(`${CONFIG.API_URL}/events`);
+    let connected = false;
+    const on = (event, handler) => source.addEventListener(event, e => handler(JSON.parse(e.data)));
+    
+    on('ready', data => {
+        updateOnlineUsers(data.online);
+        // Events sent while the connection was down were missed
+        if (connected) {
+            catchUp();
+        } else {
+            lastRefreshTime = data.server_time;
         }
-    }, CONFIG.AUTO_REFRESH_INTERVAL);
+        connected = true;
+        elements.lastUpdate.textContent = formatTimeAgo(new Date());
+    });
+    on('online', data => updateOnlineUsers(data.count));
+    on('stats', stats => {
+        serverStats = stats;
+        updateStats();
+    });
+    on('post-created', data => addLivePost(data.post));
+    on('post-updated', data => applyPostUpdate(data.post));
+    on('post-deleted', data => removeLivePost(data.id));
+    on('post-reactions', data => setPostReactions(data.id, data.reactions));
+    on('posts-reordered', () => {
+        if (currentSort === 'featured' && allPosts.length <= CONFIG.ITEMS_PER_LOAD) {
+            loadPosts();
+        }
+    });
+}
+
+// After a reconnect: apply edits made since the last event and pick up new posts
+async function catchUp() {
+    const since = lastRefreshTime;
+    if (!since) return;
+    
+    try {
+        const response = await fetch(`${CONFIG.API_URL}/posts/latest?since=${encodeURIComponent(since)}`);
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        if (!data.success) return;
+        
+        lastRefreshTime = data.server_time;
+        (data.updated || []).forEach(applyPostUpdate);
+        data.posts
+            .filter(post => new Date(post.created_at) > new Date(since))
+            .reverse()
+            .forEach(addLivePost);
+    } catch (error) {
+        console.error('Catch-up error:', error);
+    }
+}
+
+// Whether a new post belongs at the top of the grid as currently filtered
+function fitsCurrentView(post) {
+    if (searchQuery || activeTag || currentCollection) return false;
+    if (currentSort !== 'featured' && currentSort !== 'newest') return false;
+    if (Object.hasOwn(MEDIA_TYPES, currentFilter)) {
+        return post.type === currentFilter;
+    }
+    return true;
+}
+
+function addLivePost(post) {
+    if (allPosts.some(p => p.id === post.id)) {
+        applyPostUpdate(post);
+        return;
+    }
+    
+    if (!fitsCurrentView(post)) {
+        showToast('New content available! Refresh to see.', 'info');
+        return;
+    }
+    
+    // In the featured order, pinned posts stay above new ones
+    const index = currentFilter === 'latest' || currentSort === 'newest'
+        ? 0
+        : allPosts.findIndex(p => !p.position);
+    const at = index === -1 ? allPosts.length : index;
+    allPosts = [...allPosts.slice(0, at), post, ...allPosts.slice(at)];
+    totalPosts++;
+    applyFilter();
+    renderPosts();
+    updateCounters();
+    showToast(`New post: ${escapeHtml(post.caption || 'Untitled')}`, 'info');
+}
+
+function removeLivePost(postId) {
+    const index = allPosts.findIndex(p => p.id === postId);
+    if (index === -1) return;
+    
+    const current = filteredPosts[currentLightboxIndex];
+    if (isLightboxOpen() && current && current.id === postId) {
+        closeLightbox();
+    }
+    
+    allPosts = allPosts.filter(p => p.id !== postId);
+    totalPosts = Math.max(totalPosts - 1, 0);
+    applyFilter();
+    renderPosts();
+    updateCounters();
+}
+
+// Replace a loaded post with its edited version, in the grid and the lightbox
+function applyPostUpdate(updated) {
+    const index = allPosts.findIndex(p => p.id === updated.id);
+    if (index === -1) return;
+    
+    allPosts = allPosts.map(p => p.id === updated.id ? updated : p);
+    applyFilter();
+    
+    const card = elements.contentGrid.querySelector(`.post-card[data-id="${updated.id}"]`);
+    if (card) {
+        card.outerHTML = createPostCard(updated, index);
+    }
+    
+    const current = filteredPosts[currentLightboxIndex];
+    if (isLightboxOpen() && current && current.id === updated.id) {
+        document.getElementById('lightboxTitle').textContent = updated.caption || 'Untitled';
+        document.getElementById('lightboxDescription').textContent = updated.description || '';
+        document.getElementById('lightboxTags').innerHTML = renderPostTags(updated);
+    }
 }
 
 // Share Functions
+
+// Link to the server-rendered post page, which has the preview image and caption
+function postUrl(post) {
+    return `${window.location.origin}/p/${post.id}`;
+}
 window.shareCurrentPost = function() {
     if (currentLightboxIndex === -1) return;
     
     const post = filteredPosts[currentLightboxIndex];
-    const url = `${window.location.origin}?post=${post.id}`;
+    const url = postUrl(post);
     
     if (navigator.share) {
         navigator.share({
@@ -536,9 +1184,12 @@ window.downloadCurrentMedia = function() {
     if (currentLightboxIndex === -1) return;
     
     const post = filteredPosts[currentLightboxIndex];
+    const item = getMediaItems(post)[currentMediaIndex] || post;
     const link = document.createElement('a');
-    link.href = post.media_url;
-    link.download = `collection_${post.id}_${Date.now()}.${post.type === 'video' ? 'mp4' : 'jpg'}`;
+    link.href = item.media_url;
+    // Media ids end in the file's extension
+    const ext = (item.media_url.match(/\.(\w+)$/) || [])[1] || (item.type === 'video' ? 'mp4' : 'jpg');
+    link.download = `collection_${post.id}_${Date.now()}.${ext}`;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -550,7 +1201,7 @@ window.copyPostLink = function() {
     if (currentLightboxIndex === -1) return;
     
     const post = filteredPosts[currentLightboxIndex];
-    const url = `${window.location.origin}?post=${post.id}`;
+    const url = postUrl(post);
     copyToClipboard(url);
     showToast('Post link copied!', 'success');
 };
@@ -561,38 +1212,61 @@ function copyToClipboard(text) {
     });
 }
 
-// Sample Data for Fallback
-function loadSampleData() {
-    allPosts = [
-        {
-            id: 1,
-            type: 'image',
-            media_url: 'https://images.unsplash.com/photo-1579546929662-711aa81148cf?w=800&h=600&fit=crop',
-            thumbnail: 'https://images.unsplash.com/photo-1579546929662-711aa81148cf?w=400&h=300&fit=crop',
-            caption: 'Welcome to MY COLLECTION XIX',
-            description: 'This is a public gallery where admin uploads content via Telegram bot.',
-            author: 'Admin',
-            created_at: new Date().toISOString(),
-            views: 42
-        },
-        {
-            id: 2,
-            type: 'video',
-            media_url: 'https://assets.mixkit.co/videos/preview/mixkit-tree-with-yellow-flowers-1173-large.mp4',
-            thumbnail: 'https://images.unsplash.com/photo-1518709268805-4e9042af2176?w=400&h=300&fit=crop',
-            caption: 'Sample Video Content',
-            description: 'Example of video content that can be uploaded via Telegram bot.',
-            author: 'Admin',
-            created_at: new Date(Date.now() - 3600000).toISOString(),
-            views: 128
-        }
-    ];
+// Offline gallery. The service worker keeps every opened post (see sw.js);
+// when the API cannot be reached the grid shows those instead.
+const OFFLINE_CACHE = 'xix-offline';
+
+function keepPostOffline(post) {
+    if (!navigator.serviceWorker || !navigator.serviceWorker.controller) return;
+    navigator.serviceWorker.controller.postMessage({ type: 'post-viewed', post });
+}
+
+async function readOfflinePosts() {
+    if (!window.caches) return [];
     
-    filteredPosts = allPosts;
+    const cache = await caches.open(OFFLINE_CACHE);
+    const responses = await Promise.all((await cache.keys()).map(request => cache.match(request)));
+    const posts = await Promise.all(responses.filter(Boolean).map(response => response.json()));
+    return posts.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+async function loadOfflineGallery() {
+    let posts = [];
+    try {
+        posts = await readOfflinePosts();
+    } catch (error) {
+        console.error('Error reading offline posts:', error);
+    }
+    
+    // The API filters online; offline the saved posts are filtered here
+    const query = searchQuery.toLowerCase();
+    posts = posts.filter(post =>
+        (!Object.hasOwn(MEDIA_TYPES, currentFilter) || post.type === currentFilter) &&
+        (!activeTag || (post.tags || []).includes(activeTag)) &&
+        (!query || `${post.caption || ''} ${post.description || ''}`.toLowerCase().includes(query))
+    );
+    
+    offlineMode = true;
+    allPosts = posts;
+    nextCursor = null;
+    totalPosts = posts.length;
+    serverStats = null;
+    applyFilter();
     updateDisplay();
-    showToast('Using sample data. Check console for errors.', 'warning');
+    elements.loadMoreBtn.style.display = 'none';
+    
+    showToast(posts.length > 0
+        ? `You are offline. Showing ${posts.length} post(s) you opened before.`
+        : 'You are offline and no posts are saved yet.', 'warning');
 }
 
+// Back online after showing the offline gallery: load the real one
+window.addEventListener('online', () => {
+    if (offlineMode) {
+        loadPosts();
+    }
+});
+
 // Performance Monitoring
 if ('performance' in window) {
     window.addEventListener('load', () => {
@@ -0,0 +1,161 @@
+// Service worker: app shell precache, stale-while-revalidate for the API, and
+// an offline copy of the posts a visitor opened (the post JSON plus its
+// thumbnails), which script.js turns into an offline gallery.
+const VERSION = 'v1';
+const SHELL_CACHE = `xix-shell-${VERSION}`;
+const API_CACHE = `xix-api-${VERSION}`;
+const MEDIA_CACHE = `xix-media-${VERSION}`;
+// Shared with script.js, which reads the offline posts from it
+const OFFLINE_CACHE = 'xix-offline';
+
+const SHELL_FILES = ['/', '/index.html', '/script.js', '/style.css', '/manifest.webmanifest', '/icon.svg'];
+const MAX_OFFLINE_POSTS = 100;
+
+// API responses that must always come from the network: the live stream, the
+// live catch-up after a reconnect, the visitor's own reactions and everything
+// behind an admin token
+const NETWORK_ONLY = [/^\/api\/events/, /^\/api\/posts\/latest/, /^\/api\/posts\/\d+\/reactions/, /^\/api\/admin\//];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, API_CACHE, MEDIA_CACHE, OFFLINE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('xix-') && !current.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Cached responses carry the time they were fetched, so the page can tell it
+// got a stale copy and catch up once it is online
+async function putWithTime(cache, request, response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    const body = await response.blob();
+    await cache.put(request, new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    }));
+}
+
+// Answer from the cache right away and refresh it in the background; without
+// a cached copy, wait for the network. Used for the API.
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(API_CACHE);
+    const cached = await cache.match(event.request);
+
+    const refresh = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            await putWithTime(cache, event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+// Pages and shell files: the network first, so a deploy's HTML, script and
+// styles always arrive together, and the cached shell offline. Shell files
+// are re-cached on every successful fetch. Pages that are not shell files
+// (/p/<id>) fall back to the shell; script.js opens the post.
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const { pathname } = new URL(request.url);
+    try {
+        const response = await fetch(request);
+        if (response.ok && SHELL_FILES.includes(pathname)) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        return (request.mode === 'navigate' && await cache.match('/')) || Response.error();
+    }
+}
+
+// Media ids are content hashes, so a cached file is never out of date. Only
+// the thumbnails of opened posts are cached (see "post-viewed" below).
+async function cachedMedia(request) {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.startsWith('/api/')) {
+        if (NETWORK_ONLY.some(pattern => pattern.test(url.pathname))) return;
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (url.pathname.startsWith('/media/')) {
+        event.respondWith(cachedMedia(request));
+    } else if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// Thumbnail URLs worth keeping for a post: grid image and lightbox preview
+function thumbnailUrls(post) {
+    const items = post.media && post.media.length > 0 ? post.media : [post];
+    const urls = new Set();
+    for (const item of items) {
+        const variants = item.variants || {};
+        for (const variant of [variants.thumb, variants.medium, variants.poster]) {
+            if (variant && variant.url) urls.add(variant.url);
+        }
+        if (item.thumbnail) urls.add(item.thumbnail);
+    }
+    return [...urls];
+}
+
+// Keep an opened post for the offline gallery, dropping the oldest ones
+async function keepPostOffline(post) {
+    const offline = await caches.open(OFFLINE_CACHE);
+    const media = await caches.open(MEDIA_CACHE);
+    const key = `/offline/posts/${post.id}`;
+
+    await offline.delete(key);
+    await offline.put(key, new Response(JSON.stringify({ ...post, viewed_at: new Date().toISOString() }), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+
+    await Promise.all(thumbnailUrls(post).map(async (url) => {
+        if (!(await media.match(url))) {
+            await media.add(url).catch(() => {});
+        }
+    }));
+
+    // Keys come back in insertion order, and a re-opened post was re-inserted
+    const keys = await offline.keys();
+    for (const request of keys.slice(0, Math.max(keys.length - MAX_OFFLINE_POSTS, 0))) {
+        const response = await offline.match(request);
+        const old = response ? await response.json() : {};
+        await Promise.all(thumbnailUrls(old).map(url => media.delete(url)));
+        await offline.delete(request);
+    }
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    if (message.type === 'post-viewed' && message.post) {
+        event.waitUntil(keepPostOffline(message.post));
+    }
+});
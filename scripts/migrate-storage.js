@@ -0,0 +1,45 @@
+// Import an existing posts.json (and stats.json next to it) into the
+// storage backend selected by STORAGE_DRIVER.
+//
+// Usage: STORAGE_DRIVER=sqlite npm run migrate -- [path/to/posts.json]
+const path = require('path');
+const { readJson } = require('../lib/files');
+const { createStorage } = require('../lib/storage');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+async function migrate() {
+    const driver = process.env.STORAGE_DRIVER || 'sqlite';
+    const source = path.resolve(process.argv[2] || path.join(DATA_DIR, 'posts.json'));
+
+    if (driver === 'json' && source === path.join(DATA_DIR, 'posts.json')) {
+        throw new Error('Source and target are the same posts.json; set STORAGE_DRIVER=sqlite');
+    }
+
+    const posts = await readJson(source, null);
+    if (!Array.isArray(posts)) {
+        throw new Error(`No posts array found in ${source}`);
+    }
+
+    const storage = createStorage({
+        driver,
+        dataDir: DATA_DIR,
+        sqliteFile: process.env.SQLITE_FILE
+    });
+    await storage.init();
+
+    const imported = await storage.upsertPosts(posts.filter(p => p && p.id != null));
+
+    const stats = await readJson(path.join(path.dirname(source), 'stats.json'), null);
+    if (stats) {
+        await storage.writeDocument('stats', stats);
+    }
+
+    await storage.close();
+    console.log(`✅ Imported ${imported} posts from ${source} into ${driver} storage`);
+}
+
+migrate().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
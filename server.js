@@ -1,25 +1,75 @@
 const express = require('express');
-const { Telegraf } = require('telegraf');
+const { Telegraf, Markup } = require('telegraf');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
+const os = require('os');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
+const multer = require('multer');
+const { createSessionStore, sequentialSession } = require('./lib/sessions');
+const { createMediaStore } = require('./lib/media');
+const { createStorage } = require('./lib/storage');
+const { createViewCounter } = require('./lib/views');
+const { createPostIndex } = require('./lib/search');
+const { normalizeTag, uniqueTags, parseHashtags, slugify } = require('./lib/tags');
+const { createAuditLog } = require('./lib/audit');
+const { createUpdateLog } = require('./lib/updates');
+const { createEventHub } = require('./lib/events');
+const { createImageProcessor } = require('./lib/images');
+const { createAnalytics, PERIODS } = require('./lib/analytics');
+const { mediaType, escapeXml, renderRss, renderAtom, renderJsonFeed } = require('./lib/feeds');
+const { renderPostPage } = require('./lib/pages');
+const { createUploadPolicy, postTypeFor, extensionFor } = require('./lib/uploads');
+const { createArchiver } = require('./lib/archive');
+const { createBackupManager, BACKUP_EXTENSION } = require('./lib/backups');
+const { createReactions, reactionTotal, reactionCounts, REACTIONS } = require('./lib/reactions');
+const { createAlbumBuffer } = require('./lib/albums');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Number of proxies in front of the app (Railway/Vercel/Netlify), so req.ip is the visitor
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Telegram Bot Configuration
 const BOT_TOKEN = process.env.BOT_TOKEN || '8119451118:AAHNcK9zOYlzMkTkyF5TR3MXFOg1H6tMq74';
-const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || 'admin,owner,altheric')
+// Admins are stored by numeric Telegram user ID (see readAdmins). OWNER_IDS
+// seeds the first owners. ADMIN_USERNAMES has no default: when set explicitly
+// it is only honoured while no admin is stored yet, so existing deployments
+// can claim ownership once. Usernames can change hands, so prefer OWNER_IDS.
+const OWNER_IDS = (process.env.OWNER_IDS || '')
     .split(',')
-    .map(u => u.trim().toLowerCase());
+    .map(id => parseInt(id.trim()))
+    .filter(id => !isNaN(id));
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map(u => u.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+
+// Telegram sends this back in X-Telegram-Bot-Api-Secret-Token on every webhook
+// call. Without WEBHOOK_SECRET it is derived from the token, so every instance
+// agrees on it without extra config.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET ||
+    crypto.createHash('sha256').update(`webhook:${BOT_TOKEN}`).digest('hex');
+
+// Signs the visitor cookie behind reactions; derived from the token like
+// WEBHOOK_SECRET unless COOKIE_SECRET is set
+const COOKIE_SECRET = process.env.COOKIE_SECRET ||
+    crypto.createHash('sha256').update(`cookie:${BOT_TOKEN}`).digest('hex');
 
 const bot = new Telegraf(BOT_TOKEN);
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(cookieParser(COOKIE_SECRET));
 app.use(express.static('public'));
 
 // Rate limiting
@@ -30,458 +80,3186 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Stricter tier for reactions, on top of the one above
+const reactionLimiter = rateLimit({
+    windowMs: 10 * 60 * 1000, // 10 minutes
+    max: 30, // Limit each IP to 30 reactions per windowMs
+    message: { error: 'Too many reactions, please slow down.' }
+});
+
 // Data storage
 const DATA_DIR = path.join(__dirname, 'data');
-const POSTS_FILE = path.join(DATA_DIR, 'posts.json');
-const STATS_FILE = path.join(DATA_DIR, 'stats.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.jsonl');
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_MINUTES) || 30) * 60 * 1000;
+const TRASH_RETENTION = (parseInt(process.env.TRASH_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Optional weekly stats message to admins, on this weekday (0 = Sunday) and hour (server time)
+const WEEKLY_SUMMARY = process.env.WEEKLY_SUMMARY === 'true';
+const WEEKLY_SUMMARY_DAY = parseInt(process.env.WEEKLY_SUMMARY_DAY ?? '1');
+const WEEKLY_SUMMARY_HOUR = parseInt(process.env.WEEKLY_SUMMARY_HOUR ?? '9');
+// Scheduled backups of the data files every BACKUP_INTERVAL_HOURS (0 turns them off),
+// keeping the newest BACKUP_RETENTION
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups');
+const BACKUP_INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS ?? '24') || 0;
+const BACKUP_RETENTION = parseInt(process.env.BACKUP_RETENTION) || 14;
 
 // Ensure data directory exists
 if (!fsSync.existsSync(DATA_DIR)) {
     fsSync.mkdirSync(DATA_DIR, { recursive: true });
 }
 
+// Storage backend: "json" (data/posts.json, default) or "sqlite". Backups
+// only cover the files directly in DATA_DIR, so the database must be one.
+if (process.env.STORAGE_DRIVER === 'sqlite' && process.env.SQLITE_FILE &&
+    path.dirname(path.resolve(process.env.SQLITE_FILE)) !== path.resolve(DATA_DIR)) {
+    throw new Error(`SQLITE_FILE must be a file directly in ${DATA_DIR} so backups include it`);
+}
+const storage = createStorage({
+    driver: process.env.STORAGE_DRIVER || 'json',
+    dataDir: DATA_DIR,
+    sqliteFile: process.env.SQLITE_FILE
+});
+const mediaStore = createMediaStore(MEDIA_DIR);
+const imageProcessor = createImageProcessor(mediaStore, {
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg'
+});
+
+// Largest file and accepted MIME types for bot and dashboard uploads
+const uploadPolicy = createUploadPolicy({
+    maxBytes: (parseInt(process.env.MAX_UPLOAD_MB) || 20) * 1024 * 1024,
+    mimeTypes: process.env.UPLOAD_MIME_TYPES ? process.env.UPLOAD_MIME_TYPES.split(',') : undefined
+});
+
+// Zip export/import of all posts, collections and media. MAX_IMPORT_MB caps
+// an uploaded archive and each media file in it.
+const MAX_IMPORT_BYTES = (parseInt(process.env.MAX_IMPORT_MB) || 200) * 1024 * 1024;
+const archiver = createArchiver({ storage, mediaStore, maxEntryBytes: MAX_IMPORT_BYTES });
+
+// Timestamped, checksummed snapshots of the data files. Restores leave the
+// audit log alone, so nobody can wipe the record of what they did, and the
+// admins, so removed admins and revoked API tokens don't come back.
+const backups = createBackupManager({
+    dataDir: DATA_DIR,
+    backupDir: BACKUP_DIR,
+    storage,
+    retention: BACKUP_RETENTION,
+    keepOnRestore: [path.basename(AUDIT_FILE)],
+    keepDocuments: ['admins']
+});
+
+// Visitor reactions: counts on the posts, votes per visitor
+const reactions = createReactions(storage);
+
+// Album items gathered until their post is saved
+const albums = createAlbumBuffer(storage, { ttl: SESSION_TTL });
+
+// Who did what to which post, append-only
+const auditLog = createAuditLog(AUDIT_FILE);
+
+// Webhook update ids already handled
+const updateLog = createUpdateLog(storage);
+
+// Views per hour/day, per post and per referrer
+const analytics = createAnalytics(storage, {
+    flushInterval: (parseInt(process.env.VIEW_FLUSH_SECONDS) || 10) * 1000
+});
+
+// Live stream to open galleries: online count, stats and post changes
+const eventHub = createEventHub({
+    onCountChange: count => eventHub.broadcast('online', { count })
+});
+
+// Search/filter index over all posts, rebuilt after changes
+const postIndex = createPostIndex(() => readPosts());
+
+// Views are buffered and written in batches instead of one write per request
+const viewCounter = createViewCounter(storage, {
+    flushInterval: (parseInt(process.env.VIEW_FLUSH_SECONDS) || 10) * 1000,
+    dedupeWindow: (parseInt(process.env.VIEW_DEDUPE_MINUTES) || 30) * 60 * 1000,
+    onFlush: updateStats
+});
+
 // Initialize data files
 async function initializeData() {
-    if (!fsSync.existsSync(POSTS_FILE)) {
-        await fs.writeFile(POSTS_FILE, JSON.stringify([]));
-    }
+    await storage.init();
     
-    if (!fsSync.existsSync(STATS_FILE)) {
-        await fs.writeFile(STATS_FILE, JSON.stringify({
-            total_posts: 0,
-            total_views: 0,
-            last_update: new Date().toISOString()
-        }));
+    const stats = await storage.readDocument('stats', null);
+    if (!stats) {
+        await updateStats();
     }
 }
 
 // Helper functions
+
+// Only published posts are public. Drafts and scheduled posts (status) and
+// trashed posts (deleted_at) are left out of every public view.
+// Posts saved before statuses existed count as published.
+function isPublic(post) {
+    return !post.deleted_at && (post.status || 'published') === 'published';
+}
+
 async function readPosts() {
     try {
-        const data = await fs.readFile(POSTS_FILE, 'utf8');
-        return JSON.parse(data);
+        const posts = await storage.listPosts();
+        return posts.filter(isPublic);
     } catch (error) {
         console.error('Error reading posts:', error);
         return [];
     }
-}
+}
+
+async function readTrash() {
+    const posts = await storage.listPosts();
+    return posts
+        .filter(p => p.deleted_at)
+        .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+}
+
+// Drafts and scheduled posts, soonest first
+async function readUnpublished() {
+    const posts = await storage.listPosts();
+    return posts
+        .filter(p => !p.deleted_at && (p.status === 'draft' || p.status === 'scheduled'))
+        .sort((a, b) => new Date(a.publish_at || 8.64e15) - new Date(b.publish_at || 8.64e15));
+}
+
+// Make a post public. created_at moves to the publish time so the post lands
+// at the top of the gallery; the original upload time is kept in uploaded_at.
+function markPublished(post) {
+    const now = new Date().toISOString();
+    post.uploaded_at = post.uploaded_at || post.created_at;
+    post.created_at = now;
+    post.published_at = now;
+    post.status = 'published';
+    delete post.publish_at;
+}
+
+// Publish scheduled posts whose time has come, including any that fell due
+// while the server was down
+async function publishDuePosts() {
+    try {
+        const now = Date.now();
+        const due = (await readUnpublished())
+            .filter(p => p.status === 'scheduled' && new Date(p.publish_at).getTime() <= now);
+        if (due.length === 0) return;
+        
+        for (const post of due) {
+            const published = await storage.updatePost(post.id, p => {
+                if (p.status === 'scheduled') markPublished(p);
+            });
+            auditLog.record({ actor: null, action: 'publish', post_id: post.id, before: auditSnapshot(post), after: auditSnapshot(published) });
+            broadcastPost('post-created', published);
+            console.log(`Scheduled post ${post.id} published: ${post.caption}`);
+        }
+        await updateStats();
+    } catch (error) {
+        console.error('Error publishing scheduled posts:', error);
+    }
+}
+
+// Parse "/schedule" times: "+30m", "+2h", "+1d", "2024-06-01 18:00",
+// "2024-06-01 18:00 +07:00" or any ISO 8601 string. Without an offset the
+// server's local time zone applies.
+function parseScheduleTime(text) {
+    const value = text.trim();
+    
+    const relative = value.match(/^\+(\d+)\s*([mhd])$/i);
+    if (relative) {
+        const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[relative[2].toLowerCase()];
+        return new Date(Date.now() + parseInt(relative[1]) * unit);
+    }
+    
+    const normalized = value
+        .replace(/^(\d{4}-\d{2}-\d{2})\s+(\d{1,2}:\d{2})/, '$1T$2')
+        .replace(/\s+([+-]\d{2}:?\d{2}|Z)$/i, '$1');
+    const date = new Date(normalized);
+    return isNaN(date) ? null : date;
+}
+
+// Permanently remove posts that have been in the trash longer than the retention period
+async function purgeTrash() {
+    try {
+        const cutoff = Date.now() - TRASH_RETENTION;
+        const expired = (await readTrash()).filter(p => new Date(p.deleted_at).getTime() < cutoff);
+        if (expired.length === 0) return;
+        
+        for (const post of expired) {
+            await storage.deletePost(post.id);
+            auditLog.record({ actor: null, action: 'purge', post_id: post.id, before: auditSnapshot(post), after: null });
+        }
+        
+        const purgedIds = expired.map(p => p.id);
+        await updateCollections(collections => {
+            collections.forEach(c => {
+                c.post_ids = c.post_ids.filter(id => !purgedIds.includes(id));
+            });
+        });
+        await reactions.forget(purgedIds);
+        
+        console.log(`Purged ${expired.length} post(s) from trash`);
+    } catch (error) {
+        console.error('Error purging trash:', error);
+    }
+}
+
+function computeStats(posts) {
+    return {
+        total_posts: posts.length,
+        total_views: posts.reduce((sum, post) => sum + (post.views || 0), 0),
+        total_reactions: posts.reduce((sum, post) => sum + reactionTotal(post), 0)
+    };
+}
+
+// Current totals, without touching storage beyond a read
+async function getStats() {
+    const posts = await readPosts();
+    const saved = await storage.readDocument('stats', {});
+    const stats = computeStats(posts);
+    
+    return {
+        ...stats,
+        total_views: stats.total_views + viewCounter.pendingTotal(),
+        last_update: saved.last_update || new Date().toISOString()
+    };
+}
+
+// Recalculate and persist stats; call after posts change
+async function updateStats() {
+    try {
+        postIndex.invalidate();
+        const posts = await readPosts();
+        const stats = {
+            ...computeStats(posts),
+            last_update: new Date().toISOString()
+        };
+        
+        await storage.writeDocument('stats', stats);
+        eventHub.broadcast('stats', { ...stats, total_views: stats.total_views + viewCounter.pendingTotal() });
+        return stats;
+    } catch (error) {
+        console.error('Error updating stats:', error);
+        return null;
+    }
+}
+
+// Collections are stored as one document: [{ slug, title, description, created_at, post_ids }]
+async function readCollections() {
+    return storage.readDocument('collections', []);
+}
+
+function updateCollections(updater) {
+    return storage.updateDocument('collections', [], updater);
+}
+
+// Roles and what each may do. Every bot command checks one permission.
+const ROLE_PERMISSIONS = {
+    owner: ['view_stats', 'upload', 'edit', 'delete', 'manage_admins', 'view_audit', 'backup'],
+    editor: ['view_stats', 'upload', 'edit', 'delete'],
+    viewer: ['view_stats']
+};
+
+function hasPermission(admin, permission) {
+    return Boolean(admin && (ROLE_PERMISSIONS[admin.role] || []).includes(permission));
+}
+
+// API tokens are stored hashed; the token itself is only shown once, in /token
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function findAdminByToken(token) {
+    const tokenHash = hashToken(token);
+    const admins = await readAdmins();
+    return admins.find(a => a.token_hash && a.token_hash === tokenHash) || null;
+}
+
+// [{ id, role, name, added_by, added_at, token_hash }]
+async function readAdmins() {
+    return storage.readDocument('admins', []);
+}
+
+function updateAdmins(updater) {
+    return storage.updateDocument('admins', [], updater);
+}
+
+// Seed OWNER_IDS as owners when no admin is stored yet
+async function initializeAdmins() {
+    if (OWNER_IDS.length === 0) return;
+    
+    await updateAdmins(admins => {
+        if (admins.length > 0) return admins;
+        const now = new Date().toISOString();
+        return OWNER_IDS.map(id => ({ id, role: 'owner', name: '', added_by: null, added_at: now }));
+    });
+}
+
+// Find the stored admin for a Telegram user. While no admin is stored, a user
+// listed in ADMIN_USERNAMES is recorded as the first owner by ID.
+async function findAdmin(from) {
+    if (!from) return null;
+    
+    const admins = await readAdmins();
+    const admin = admins.find(a => a.id === from.id);
+    if (admin || admins.length > 0) return admin || null;
+    
+    const username = (from.username || '').toLowerCase();
+    if (!username || !ADMIN_USERNAMES.includes(username)) return null;
+    
+    let claimed = null;
+    await updateAdmins(current => {
+        if (current.length > 0) return current;
+        claimed = { id: from.id, role: 'owner', name: from.username, added_by: null, added_at: new Date().toISOString() };
+        return [claimed];
+    });
+    if (claimed) {
+        auditLog.record({ actor: { id: from.id, name: from.username }, action: 'admin_add', target: from.id, before: null, after: claimed });
+        console.log(`👑 @${from.username} (${from.id}) claimed ownership from ADMIN_USERNAMES`);
+    }
+    return claimed;
+}
+
+// Include views that are buffered but not yet flushed
+function withLiveViews(post) {
+    return { ...post, views: (post.views || 0) + viewCounter.pendingFor(post.id) };
+}
+
+// Post as returned by the public API: live views, no admin-only fields
+function publicPost(post) {
+    const { edit_history, ...fields } = withLiveViews(post);
+    return fields;
+}
+
+// Tell open galleries about a post change. A post that is not public (any
+// more) is announced as deleted so it disappears from the grid.
+function broadcastPost(event, post) {
+    if (!post) return;
+    if (isPublic(post)) {
+        eventHub.broadcast(event, { post: publicPost(post) });
+    } else {
+        eventHub.broadcast('post-deleted', { id: post.id });
+    }
+}
+
+// Fields admins can change after upload
+const EDITABLE_FIELDS = ['caption', 'description', 'tags'];
+const MAX_EDIT_HISTORY = 50;
+
+// Change one field of a post, recording updated_at and an edit history entry.
+// `compute` receives the current value and returns the new one.
+// An edit that leaves the value as it was is not recorded.
+async function editPost(postId, field, compute, actor) {
+    const now = new Date().toISOString();
+    let snapshot = null;
+    let changed = false;
+    
+    const updated = await storage.updatePost(postId, post => {
+        snapshot = auditSnapshot(post);
+        const before = post[field];
+        const after = compute(before);
+        if (sameFieldValue(before, after)) return;
+        
+        changed = true;
+        post[field] = after;
+        post.updated_at = now;
+        post.edit_history = [
+            ...(post.edit_history || []),
+            { field, before, after, editor: actor.name, edited_at: now }
+        ].slice(-MAX_EDIT_HISTORY);
+    });
+    
+    if (updated && changed) {
+        postIndex.invalidate();
+        auditLog.record({ actor, action: 'edit', post_id: postId, field, before: snapshot, after: auditSnapshot(updated) });
+        broadcastPost('post-updated', updated);
+    }
+    return updated;
+}
+
+// Editable values are strings or tag arrays; a missing value equals an empty one
+function sameFieldValue(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        const left = a || [];
+        const right = b || [];
+        return left.length === right.length && left.every((value, i) => value === right[i]);
+    }
+    return (a ?? '') === (b ?? '');
+}
+
+// Parse an edit value typed in the bot; "-" clears a description
+function parseEditValue(field, text) {
+    const value = text.trim();
+    if (field === 'tags') {
+        return uniqueTags(value.split(/[\s,]+/));
+    }
+    if (field === 'description' && value === '-') {
+        return '';
+    }
+    return value;
+}
+
+// Audit entries keep the post without its edit history, which only grows
+function auditSnapshot(post) {
+    if (!post) return null;
+    const { edit_history, ...fields } = post;
+    return JSON.parse(JSON.stringify(fields));
+}
+
+// Admin records without their token hash
+function auditAdmin(admin) {
+    const { token_hash, ...fields } = admin;
+    return fields;
+}
+
+function auditActor(ctx) {
+    return { id: ctx.from.id, name: editorName(ctx) };
+}
+
+function editorName(ctx) {
+    return ctx.from.username || ctx.from.first_name || String(ctx.from.id);
+}
+
+// Anonymous visitor fingerprint used to deduplicate views and reactions
+function visitorKey(req) {
+    return crypto.createHash('sha256')
+        .update(`${req.ip}|${req.get('user-agent') || ''}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Anonymous visitor id for reactions, kept in a signed cookie. It is only
+// handed out by GET /api/posts/:id/reactions, which the lightbox calls before
+// any reaction, and a reaction without it is refused. A fresh cookie is easy
+// to get, so votes are also tied to the device key (visitorKey); see
+// lib/reactions.js for what that does and does not stop.
+const VISITOR_COOKIE = 'xix_visitor';
+
+function reactionVisitor(req) {
+    const id = req.signedCookies[VISITOR_COOKIE];
+    return typeof id === 'string' && /^[a-f0-9]{32}$/.test(id) ? id : null;
+}
+
+function issueVisitor(req, res) {
+    const visitor = crypto.randomBytes(16).toString('hex');
+    res.cookie(VISITOR_COOKIE, visitor, {
+        signed: true,
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: 365 * 24 * 60 * 60 * 1000
+    });
+    return visitor;
+}
+
+// Download a Telegram file into the media store. Telegram file links embed
+// the bot token and expire after about an hour, so they are never saved.
+async function storeTelegramFile(fileId, fallbackExt) {
+    const link = await bot.telegram.getFileLink(fileId);
+    const ext = path.extname(link.pathname).slice(1) || fallbackExt;
+    const saved = await mediaStore.saveFromUrl(link.href, ext);
+    
+    return {
+        media_id: saved.id,
+        media_url: `/media/${saved.id}`
+    };
+}
+
+// Names of the post types in bot replies
+const MEDIA_LABELS = {
+    image: 'Photo',
+    video: 'Video',
+    gif: 'GIF',
+    audio: 'Audio'
+};
+
+function untitledCaption(type) {
+    return type === 'image' ? 'Untitled Post' : `Untitled ${MEDIA_LABELS[type] || 'Post'}`;
+}
+
+// Telegram metadata for a media message. Files sent "as file" arrive as
+// documents and keep their original quality; their type comes from the MIME type.
+function mediaItemFromMessage(message) {
+    if (message.photo) {
+        // Get the highest quality photo
+        const photo = message.photo[message.photo.length - 1];
+        return {
+            type: 'image',
+            telegram_file_id: photo.file_id,
+            message_id: message.message_id,
+            mime_type: 'image/jpeg',
+            width: photo.width,
+            height: photo.height,
+            file_size: photo.file_size
+        };
+    }
+    
+    // Telegram sends GIFs as silent MP4 animations. Animation messages also
+    // carry a `document`, so they are checked first.
+    const file = message.video || message.animation || message.audio || message.voice || message.document;
+    const type = message.video ? 'video'
+        : message.animation ? 'gif'
+        : (message.audio || message.voice) ? 'audio'
+        : postTypeFor(file.mime_type);
+    // Telegram's preview frame (or an audio file's cover) becomes the poster
+    // (Bot API 6.6 renamed thumb)
+    const thumb = file.thumbnail || file.thumb;
+    
+    return {
+        type,
+        telegram_file_id: file.file_id,
+        telegram_thumb_file_id: thumb ? thumb.file_id : undefined,
+        message_id: message.message_id,
+        mime_type: file.mime_type || (type === 'audio' ? 'audio/ogg' : type === 'gif' ? 'video/mp4' : undefined),
+        file_name: file.file_name,
+        title: file.title,
+        performer: file.performer,
+        duration: file.duration,
+        width: file.width,
+        height: file.height,
+        file_size: file.file_size
+    };
+}
+
+// Sizes for the gallery: thumb, medium and full for images (and GIF files);
+// thumb, medium and poster for videos and MP4 animations, from Telegram's
+// preview frame or a frame grabbed with ffmpeg, and for audio with a cover.
+// A failure leaves the item without variants instead of failing the upload.
+async function createMediaVariants(item) {
+    try {
+        if (item.type === 'image' || path.extname(item.media_id) === '.gif') {
+            return await imageProcessor.createVariants(item.media_id);
+        }
+        
+        let posterId = null;
+        if (item.telegram_thumb_file_id) {
+            posterId = (await storeTelegramFile(item.telegram_thumb_file_id, 'jpg')).media_id;
+        } else if (item.type !== 'audio') {
+            const frame = await imageProcessor.extractVideoFrame(mediaStore.resolve(item.media_id));
+            if (frame) {
+                posterId = (await mediaStore.saveBuffer(frame, 'jpg')).id;
+            }
+        }
+        if (!posterId) return {};
+        
+        const { full, ...sizes } = await imageProcessor.createVariants(posterId);
+        return { ...sizes, poster: full };
+    } catch (error) {
+        console.error(`Error creating variants for ${item.media_id}:`, error);
+        return {};
+    }
+}
+
+// Whether every variant file of an item is in the media store. Audio without
+// a cover has nothing to make variants from.
+async function hasVariants(item) {
+    const variants = Object.values(item.variants || {});
+    if (variants.length === 0) return item.type === 'audio' && !item.telegram_thumb_file_id;
+    
+    for (const variant of variants) {
+        if (!(await mediaStore.exists(path.basename(variant.url)))) return false;
+    }
+    return true;
+}
+
+// Download one media item into the media store and create its variants. Items
+// uploaded through the admin API are already stored and only get variants.
+async function storeMediaItem(item) {
+    const { message_id, ...fields } = item;
+    
+    if (!fields.media_id || !(await mediaStore.exists(fields.media_id))) {
+        const fallbackExt = extensionFor(item.mime_type) || (item.type === 'video' ? 'mp4' : 'jpg');
+        const media = await storeTelegramFile(item.telegram_file_id, fallbackExt);
+        fields.media_id = media.media_id;
+        fields.media_url = media.media_url;
+    }
+    
+    const variants = await createMediaVariants(fields);
+    // Documents come without dimensions; the original image has them
+    if (variants.full && !fields.width) {
+        fields.width = variants.full.width;
+        fields.height = variants.full.height;
+    }
+    return {
+        ...fields,
+        variants,
+        thumbnail: variants.thumb
+            ? variants.thumb.url
+            : (item.type === 'image' ? fields.media_url : '')
+    };
+}
+
+// Turn a pending upload from the session into a post. The first item fills the
+// top-level media fields; albums also keep every item, in order, in `media`.
+async function buildPostFromDraft(draft, description) {
+    const items = [...draft.items].sort((a, b) => a.message_id - b.message_id);
+    const media = [];
+    for (const item of items) {
+        media.push(await storeMediaItem(item));
+    }
+    
+    const [first] = media;
+    const post = {
+        id: Date.now(),
+        type: first.type,
+        media_id: first.media_id,
+        media_url: first.media_url,
+        thumbnail: first.thumbnail,
+        variants: first.variants,
+        caption: draft.caption,
+        description: description,
+        tags: draft.tags || [],
+        author: draft.author,
+        created_at: draft.created_at,
+        status: draft.status || 'published',
+        views: 0,
+        telegram_file_id: first.telegram_file_id,
+        mime_type: first.mime_type,
+        file_name: first.file_name,
+        title: first.title,
+        performer: first.performer,
+        duration: first.duration,
+        width: first.width,
+        height: first.height,
+        file_size: first.file_size
+    };
+    
+    if (media.length > 1) {
+        post.media = media;
+        post.media_group_id = draft.media_group_id;
+    }
+    if (draft.publish_at) {
+        post.publish_at = draft.publish_at;
+    }
+    
+    return post;
+}
+
+// Post operations shared by the bot and the admin API. Each records an audit
+// entry; callers refresh stats once they are done.
+
+// Download a draft's media, save it as a post and record the upload
+async function createPost(draft, description, actor) {
+    const post = await buildPostFromDraft(draft, description);
+    await storage.insertPost(post);
+    auditLog.record({ actor, action: 'upload', post_id: post.id, before: null, after: auditSnapshot(post) });
+    if (isPublic(post)) {
+        broadcastPost('post-created', post);
+    }
+    return post;
+}
+
+// Move a post to the trash. Returns the post (already trashed or not), or null if missing.
+async function trashPost(postId, actor) {
+    let before = null;
+    const post = await storage.updatePost(postId, p => {
+        if (!p.deleted_at) {
+            before = auditSnapshot(p);
+            p.deleted_at = new Date().toISOString();
+        }
+    });
+    
+    if (post && before) {
+        auditLog.record({ actor, action: 'delete', post_id: postId, before, after: auditSnapshot(post) });
+        broadcastPost('post-deleted', post);
+    }
+    return post;
+}
+
+// Take a post out of the trash. Returns null if it is not in the trash.
+async function restorePost(postId, actor) {
+    const post = await storage.getPost(postId);
+    if (!post || !post.deleted_at) return null;
+    
+    const restored = await storage.updatePost(postId, p => {
+        delete p.deleted_at;
+    });
+    auditLog.record({ actor, action: 'restore', post_id: postId, before: auditSnapshot(post), after: auditSnapshot(restored) });
+    if (isPublic(restored)) {
+        broadcastPost('post-created', restored);
+    }
+    return restored;
+}
+
+// Publish a draft or scheduled post now. Returns null if it is missing,
+// trashed or already published.
+async function publishPost(postId, actor) {
+    const post = await storage.getPost(postId);
+    if (!post || post.deleted_at || isPublic(post)) return null;
+    
+    const published = await storage.updatePost(postId, markPublished);
+    auditLog.record({ actor, action: 'publish', post_id: postId, before: auditSnapshot(post), after: auditSnapshot(published) });
+    broadcastPost('post-created', published);
+    return published;
+}
+
+// Add posts to or remove them from a collection and record a "collect" or
+// "uncollect" audit entry. Returns the collection's new size, or null if
+// there is no such collection.
+async function changeCollectionPosts(slug, postIds, action, actor) {
+    let result = null;
+    await updateCollections(collections => {
+        const collection = collections.find(c => c.slug === slug);
+        if (!collection) return;
+        
+        const before = collection.post_ids;
+        collection.post_ids = action === 'add'
+            ? [...new Set([...before, ...postIds])]
+            : before.filter(id => !postIds.includes(id));
+        result = { before, after: collection.post_ids };
+    });
+    if (!result) return null;
+    
+    auditLog.record({ actor, action: action === 'add' ? 'collect' : 'uncollect', target: slug, before: result.before, after: result.after });
+    return result.after.length;
+}
+
+function archiveFilename() {
+    return `collection-${new Date().toISOString().slice(0, 10)}.zip`;
+}
+
+// Zip of every post (drafts and trash included), the collections and the
+// media, as a stream; see lib/archive.js for maxBytes
+async function exportCollection(actor, { maxBytes } = {}) {
+    const result = await archiver.exportArchive({ maxBytes });
+    auditLog.record({ actor, action: 'export', target: 'collection', before: null, after: { posts: result.posts, media: result.media } });
+    return result;
+}
+
+// Merge an export file into this deploy; see lib/archive.js for the rules
+async function importCollection(filePath, actor) {
+    const report = await archiver.importArchive(filePath);
+    await updateStats();
+    auditLog.record({
+        actor,
+        action: 'import',
+        target: 'collection',
+        before: null,
+        after: { added: report.added.length, updated: report.updated.length, conflicts: report.conflicts.length }
+    });
+    return report;
+}
+
+// Take a scheduled backup once the newest backup is older than the interval,
+// so restarts neither skip nor repeat one
+async function backupIfDue() {
+    try {
+        if (!(await backups.isDue(BACKUP_INTERVAL_HOURS * 60 * 60 * 1000))) return;
+        
+        await viewCounter.flush();
+        await analytics.flush();
+        const backup = await backups.create('scheduled');
+        console.log(`💾 Backup ${backup.name} (${backup.files} files)` +
+                    (backup.pruned.length > 0 ? `, removed ${backup.pruned.length} old backups` : ''));
+    } catch (error) {
+        console.error('Error creating backup:', error);
+    }
+}
+
+async function createBackup(actor) {
+    await viewCounter.flush();
+    await analytics.flush();
+    const backup = await backups.create('manual');
+    auditLog.record({ actor, action: 'backup', target: backup.name, before: null, after: { files: backup.files, size: backup.size } });
+    return backup;
+}
+
+// Replace the data with a backup; lib/backups.js verifies its checksums and
+// backs up the current data first. Buffered views are written before that so
+// the pre-restore backup has them.
+async function restoreBackup(name, actor) {
+    await backups.verify(name);
+    await viewCounter.flush();
+    await analytics.flush();
+    
+    const result = await backups.restore(name);
+    await updateStats();
+    auditLog.record({
+        actor,
+        action: 'restore_backup',
+        target: name,
+        before: { backup: result.safety },
+        after: { files: result.files.length }
+    });
+    return result;
+}
+
+// API Routes
+
+// Run a post query from request parameters and build the list response.
+// Query: type, q, sort (featured|newest|oldest|most_viewed), from, to, tags, cursor, limit
+async function queryPosts(params, ids) {
+    const { type, q, sort, from, to, tags, cursor } = params;
+    const limit = Math.min(Math.max(parseInt(params.limit) || 12, 1), 50);
+    
+    const result = await postIndex.query(
+        { type, q, sort, from, to, tags, ids, cursor, limit },
+        post => withLiveViews(post).views
+    );
+    
+    return {
+        posts: result.posts.map(publicPost),
+        total: result.total,
+        next_cursor: result.nextCursor,
+        has_more: result.nextCursor !== null
+    };
+}
+
+// Get posts with filtering, search, sorting and cursor pagination.
+// ?ids=1,2 limits the result to those posts (e.g. one opened from a link).
+app.get('/api/posts', async (req, res) => {
+    try {
+        const ids = req.query.ids
+            ? String(req.query.ids).split(',').map(id => parseInt(id)).filter(id => !isNaN(id)).slice(0, 50)
+            : undefined;
+        const result = await queryPosts(req.query, ids);
+        const stats = await getStats();
+        
+        res.json({
+            success: true,
+            ...result,
+            stats: stats
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+        console.error('Error in /api/posts:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Tags with post counts
+app.get('/api/tags', async (req, res) => {
+    try {
+        const tags = await postIndex.tagCounts();
+        res.json({ success: true, tags });
+    } catch (error) {
+        console.error('Error in /api/tags:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// List collections
+app.get('/api/collections', async (req, res) => {
+    try {
+        const collections = await readCollections();
+        const posts = await readPosts();
+        const postsById = new Map(posts.map(p => [p.id, p]));
+        
+        res.json({
+            success: true,
+            collections: collections.map(collection => {
+                const postIds = collection.post_ids.filter(id => postsById.has(id));
+                const cover = postIds.length > 0 ? postsById.get(postIds[0]) : null;
+                
+                return {
+                    slug: collection.slug,
+                    title: collection.title,
+                    description: collection.description,
+                    post_count: postIds.length,
+                    cover: cover ? cover.thumbnail || cover.media_url : null,
+                    created_at: collection.created_at
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error in /api/collections:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// One collection with its posts (same query parameters as /api/posts)
+app.get('/api/collections/:slug', async (req, res) => {
+    try {
+        const collections = await readCollections();
+        const collection = collections.find(c => c.slug === req.params.slug);
+        if (!collection) {
+            return res.status(404).json({ success: false, error: 'Collection not found' });
+        }
+        
+        const result = await queryPosts(req.query, collection.post_ids);
+        
+        res.json({
+            success: true,
+            collection: {
+                slug: collection.slug,
+                title: collection.title,
+                description: collection.description,
+                created_at: collection.created_at
+            },
+            ...result
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+        console.error('Error in /api/collections/:slug:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Get latest posts. With ?since=<ISO time>, also lists posts edited after it.
+app.get('/api/posts/latest', async (req, res) => {
+    try {
+        const posts = await readPosts();
+        const latest = posts.slice(0, 5);
+        
+        const since = req.query.since ? new Date(req.query.since) : null;
+        const updated = since && !isNaN(since)
+            ? posts.filter(p => p.updated_at && new Date(p.updated_at) > since)
+            : [];
+        
+        res.json({
+            success: true,
+            posts: latest.map(publicPost),
+            updated: updated.map(publicPost),
+            server_time: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error in /api/posts/latest:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Increment view count
+app.post('/api/posts/:id/view', async (req, res) => {
+    try {
+        const postId = parseInt(req.params.id);
+        const post = await storage.getPost(postId);
+        if (!post || !isPublic(post)) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+        
+        const counted = viewCounter.record(postId, visitorKey(req));
+        if (counted) {
+            analytics.record(postId, {
+                referrer: req.body && req.body.referrer,
+                host: req.get('host')
+            });
+        }
+        
+        res.json({
+            success: true,
+            counted,
+            views: withLiveViews(post).views
+        });
+    } catch (error) {
+        console.error('Error in view count:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// React to a post with one of REACTIONS; sending the same emoji again takes
+// the reaction back. Body: { emoji }
+app.post('/api/posts/:id/reactions', reactionLimiter, async (req, res) => {
+    try {
+        const postId = parseInt(req.params.id);
+        const emoji = req.body && req.body.emoji;
+        if (!REACTIONS.includes(emoji)) {
+            return res.status(400).json({ success: false, error: `Reaction must be one of ${REACTIONS.join(' ')}` });
+        }
+        
+        const visitor = reactionVisitor(req);
+        if (!visitor) {
+            return res.status(403).json({ success: false, error: 'Reactions need cookies enabled' });
+        }
+        
+        const post = await storage.getPost(postId);
+        if (!post || !isPublic(post)) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+        
+        const result = await reactions.toggle(postId, { visitor, device: visitorKey(req) }, emoji);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+        
+        postIndex.invalidate();
+        eventHub.broadcast('post-reactions', { id: postId, reactions: result.post.reactions });
+        res.json({
+            success: true,
+            added: result.added,
+            reactions: result.post.reactions,
+            reacted: result.reacted
+        });
+    } catch (error) {
+        console.error('Error in reactions:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Counts and the emojis this visitor gave, for the lightbox buttons. Visitors
+// without the cookie get it here.
+app.get('/api/posts/:id/reactions', async (req, res) => {
+    try {
+        const postId = parseInt(req.params.id);
+        const post = await storage.getPost(postId);
+        if (!post || !isPublic(post)) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+        
+        const visitor = reactionVisitor(req);
+        if (!visitor) {
+            issueVisitor(req, res);
+        }
+        res.json({
+            success: true,
+            available: REACTIONS,
+            reactions: post.reactions || {},
+            reacted: await reactions.mine(postId, { visitor, device: visitorKey(req) })
+        });
+    } catch (error) {
+        console.error('Error in reactions:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Get statistics
+app.get('/api/stats', async (req, res) => {
+    try {
+        const stats = await getStats();
+        res.json({ success: true, stats: { ...stats, online: eventHub.visitorCount() } });
+    } catch (error) {
+        console.error('Error in /api/stats:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Views over time: ?interval=day|hour, ?count= buckets, ?post_id= for one post
+app.get('/api/stats/timeseries', async (req, res) => {
+    try {
+        const interval = req.query.interval === 'hour' ? 'hour' : 'day';
+        const maxCount = interval === 'hour' ? 168 : 365;
+        const count = Math.min(Math.max(parseInt(req.query.count) || (interval === 'hour' ? 24 : 30), 1), maxCount);
+        const postId = req.query.post_id ? parseInt(req.query.post_id) : null;
+        
+        if (postId) {
+            const post = await storage.getPost(postId);
+            if (!post || !isPublic(post)) {
+                return res.status(404).json({ success: false, error: 'Post not found' });
+            }
+        }
+        
+        const series = await analytics.timeseries({ interval, count, postId });
+        res.json({ success: true, interval, post_id: postId, series });
+    } catch (error) {
+        console.error('Error in /api/stats/timeseries:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Most viewed posts of a period (day|week|month), joined with the posts that
+// are still public. Referrers are only included for admins.
+async function topReport(period, limit, { includeReferrers = false } = {}) {
+    const report = await analytics.top(period, { limit: limit * 2 });
+    const posts = await readPosts();
+    const byId = new Map(posts.map(p => [p.id, p]));
+    
+    const result = {
+        period: report.period,
+        views: report.views,
+        previous_views: report.previous_views,
+        posts: report.posts
+            .filter(entry => byId.has(entry.post_id))
+            .slice(0, limit)
+            .map(entry => ({ views: entry.views, post: publicPost(byId.get(entry.post_id)) }))
+    };
+    if (includeReferrers) {
+        result.referrers = report.referrers.slice(0, limit);
+    }
+    return result;
+}
+
+app.get('/api/stats/top', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        res.json({ success: true, ...(await topReport(req.query.period, limit)) });
+    } catch (error) {
+        console.error('Error in /api/stats/top:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Live updates (server-sent events): "online" { count }, "stats",
+// "post-created" / "post-updated" { post }, "post-deleted" { id } and
+// "posts-reordered" { ids }. "ready" carries the server time, so a client that
+// reconnects can catch up through /api/posts/latest?since=.
+app.get('/api/events', (req, res) => {
+    const client = eventHub.connect(req, res, visitorKey(req));
+    eventHub.send(client, 'ready', {
+        server_time: new Date().toISOString(),
+        online: eventHub.visitorCount()
+    });
+});
+
+// Serve stored media
+app.get('/media/:id', (req, res) => {
+    const filePath = mediaStore.resolve(req.params.id);
+    if (!filePath) {
+        return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+    
+    // Content-addressed, so the file behind an id never changes
+    res.sendFile(filePath, { maxAge: '1y', immutable: true }, (err) => {
+        if (err && !res.headersSent) {
+            res.status(err.statusCode || 404).json({ success: false, error: 'Media not found' });
+        }
+    });
+});
+
+// Feeds of the published posts: RSS, Atom and JSON Feed, each also per tag
+// with ?tag=<name>
+const FEED_LIMIT = 50;
+const FEED_FORMATS = {
+    rss: { route: '/feed.xml', type: 'application/rss+xml', render: renderRss },
+    atom: { route: '/atom.xml', type: 'application/atom+xml', render: renderAtom },
+    json: { route: '/feed.json', type: 'application/feed+json', render: renderJsonFeed }
+};
+
+// Base URL for absolute links: WEBSITE_URL, or the host the request came to
+function siteUrl(req) {
+    return (process.env.WEBSITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+function publishedTime(post) {
+    return post.published_at || post.created_at;
+}
+
+function feedAttachment(base, item) {
+    return {
+        url: `${base}${item.media_url}`,
+        mime_type: item.mime_type || mediaType(item.media_id, item.type === 'video' ? 'video/mp4' : 'image/jpeg'),
+        size_in_bytes: item.file_size
+    };
+}
+
+function feedItem(base, post) {
+    const url = `${base}/p/${post.id}`;
+    const items = post.media || [post];
+    const image = post.variants && post.variants.medium
+        ? `${base}${post.variants.medium.url}`
+        : (post.thumbnail ? `${base}${post.thumbnail}` : null);
+    
+    const html = [
+        image ? `<p><a href="${escapeXml(url)}"><img src="${escapeXml(image)}" alt="${escapeXml(post.caption)}"></a></p>` : '',
+        post.description ? `<p>${escapeXml(post.description).replace(/\n/g, '<br>')}</p>` : '',
+        items.length > 1 ? `<p>📚 Album of ${items.length}</p>` : ''
+    ].join('');
+    
+    return {
+        id: url,
+        url,
+        title: post.caption || `Post ${post.id}`,
+        summary: post.description || '',
+        content_html: html,
+        image,
+        tags: post.tags || [],
+        date_published: new Date(publishedTime(post)).toISOString(),
+        date_modified: new Date(post.updated_at || publishedTime(post)).toISOString(),
+        attachments: items.filter(item => item.media_url).map(item => feedAttachment(base, item))
+    };
+}
+
+for (const [format, { route, type, render }] of Object.entries(FEED_FORMATS)) {
+    app.get(route, async (req, res) => {
+        try {
+            const tag = req.query.tag ? normalizeTag(req.query.tag) : null;
+            const posts = (await readPosts())
+                .filter(post => !tag || (post.tags || []).includes(tag))
+                .sort((a, b) => new Date(publishedTime(b)) - new Date(publishedTime(a)))
+                .slice(0, FEED_LIMIT);
+            
+            // The ETag changes whenever a post joins, leaves or changes, so it
+            // also catches removals that Last-Modified cannot show
+            const versions = posts.map(p => `${p.id}:${p.updated_at || publishedTime(p)}`);
+            const etag = crypto.createHash('sha1')
+                .update(`${format}|${tag}|${versions.join(',')}`)
+                .digest('base64url');
+            const updated = posts.reduce((latest, p) => {
+                const time = new Date(p.updated_at || publishedTime(p)).getTime();
+                return Math.max(latest, time);
+            }, 0) || Date.now();
+            
+            res.set({
+                'Content-Type': `${type}; charset=utf-8`,
+                'Cache-Control': 'public, max-age=300',
+                ETag: `"${etag}"`,
+                'Last-Modified': new Date(updated).toUTCString()
+            });
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+            
+            const base = siteUrl(req);
+            const query = tag ? `?tag=${encodeURIComponent(tag)}` : '';
+            res.send(render({
+                title: tag ? `MY COLLECTION XIX · #${tag}` : 'MY COLLECTION XIX',
+                description: tag
+                    ? `Photos and videos tagged #${tag}`
+                    : 'Photos and videos from the collection',
+                home_page_url: `${base}/${query}`,
+                feed_url: `${base}${route}${query}`,
+                updated: new Date(updated).toISOString(),
+                items: posts.map(post => feedItem(base, post))
+            }));
+        } catch (error) {
+            console.error(`Error in ${route}:`, error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+}
+
+// Shareable post page: index.html with the post's preview tags. The gallery
+// script opens the post from the /p/<id> path.
+let indexTemplate = null;
+
+app.get('/p/:id', async (req, res) => {
+    try {
+        indexTemplate ||= await fs.readFile(path.join(__dirname, 'public', 'index.html'), 'utf8');
+        
+        const post = await storage.getPost(parseInt(req.params.id));
+        if (!post || !isPublic(post)) {
+            return res.status(404).send(indexTemplate);
+        }
+        
+        const base = siteUrl(req);
+        res.send(renderPostPage(indexTemplate, post, { base, url: `${base}/p/${post.id}` }));
+    } catch (error) {
+        console.error('Error in /p/:id:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Admin API: every request carries "Authorization: Bearer <token>" from /token
+
+// Uploads are written to temp files, not held in memory, and moved into the
+// media store by the route
+const MAX_UPLOAD_FILES = 10;
+const upload = multer({
+    dest: os.tmpdir(),
+    limits: {
+        fileSize: uploadPolicy.maxBytes,
+        files: MAX_UPLOAD_FILES
+    },
+    fileFilter: (req, file, cb) => {
+        if (uploadPolicy.isAllowedType(file.mimetype)) return cb(null, true);
+        const error = new Error('Unsupported file type');
+        error.code = 'UNSUPPORTED_TYPE';
+        cb(error);
+    }
+});
+
+function receiveUploads(req, res, next) {
+    upload.array('media', MAX_UPLOAD_FILES)(req, res, (error) => {
+        if (!error) {
+            // Whatever the route does with them, the temp files go with the response
+            res.on('close', () => {
+                for (const file of req.files || []) {
+                    fs.rm(file.path, { force: true }).catch(() => {});
+                }
+            });
+            return next();
+        }
+        const messages = {
+            LIMIT_FILE_SIZE: 'File too large',
+            LIMIT_FILE_COUNT: `At most ${MAX_UPLOAD_FILES} files per post`,
+            UNSUPPORTED_TYPE: 'Unsupported file type'
+        };
+        res.status(400).json({ success: false, error: messages[error.code] || 'Invalid upload' });
+    });
+}
+
+async function authenticateAdmin(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    
+    try {
+        const admin = token ? await findAdminByToken(token) : null;
+        if (!admin) {
+            return res.status(401).json({ success: false, error: 'Unauthorized' });
+        }
+        req.admin = admin;
+        req.actor = { id: admin.id, name: admin.name || String(admin.id) };
+        next();
+    } catch (error) {
+        console.error('Error authenticating admin:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+}
+
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.admin, permission)) {
+            return res.status(403).json({ success: false, error: 'Forbidden' });
+        }
+        next();
+    };
+}
+
+function parsePostIds(value) {
+    if (!Array.isArray(value)) return [];
+    return [...new Set(value.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+}
+
+function parseTagInput(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    return uniqueTags(list);
+}
+
+app.get('/api/admin/me', authenticateAdmin, (req, res) => {
+    const { id, name, role } = req.admin;
+    res.json({ success: true, admin: { id, name, role, permissions: ROLE_PERMISSIONS[role] || [] } });
+});
+
+// Top posts and referrers of a period: ?period=day|week|month
+app.get('/api/admin/stats/top', authenticateAdmin, requirePermission('view_stats'), async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        res.json({ success: true, ...(await topReport(req.query.period, limit, { includeReferrers: true })) });
+    } catch (error) {
+        console.error('Error in /api/admin/stats/top:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Every post an admin can manage, pinned first, then newest first.
+// ?status=published|draft|scheduled|trash narrows the list.
+app.get('/api/admin/posts', authenticateAdmin, requirePermission('view_stats'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const posts = (await storage.listPosts())
+            .filter(post => {
+                if (status === 'trash') return Boolean(post.deleted_at);
+                if (post.deleted_at) return false;
+                return !status || (post.status || 'published') === status;
+            })
+            .sort((a, b) => (b.position || 0) - (a.position || 0) ||
+                new Date(b.created_at) - new Date(a.created_at));
+        
+        res.json({ success: true, posts: posts.map(publicPost), total: posts.length });
+    } catch (error) {
+        console.error('Error listing admin posts:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Create a post from uploaded files (multipart field "media", several files
+// make an album). Fields: caption (hashtags become tags), description, tags,
+// status (published|draft|scheduled) and publish_at for scheduled posts.
+app.post('/api/admin/posts', authenticateAdmin, requirePermission('upload'), receiveUploads, async (req, res) => {
+    const files = req.files || [];
+    if (files.length === 0) {
+        return res.status(400).json({ success: false, error: 'No media uploaded' });
+    }
+    
+    const status = req.body.status || 'published';
+    if (!['published', 'draft', 'scheduled'].includes(status)) {
+        return res.status(400).json({ success: false, error: 'Invalid status' });
+    }
+    
+    let publishAt = null;
+    if (status === 'scheduled') {
+        publishAt = parseScheduleTime(req.body.publish_at || '');
+        if (!publishAt || publishAt.getTime() <= Date.now()) {
+            return res.status(400).json({ success: false, error: 'publish_at must be a future time' });
+        }
+    }
+    
+    try {
+        const items = [];
+        for (const [index, file] of files.entries()) {
+            const type = postTypeFor(file.mimetype);
+            const ext = extensionFor(file.mimetype) || path.extname(file.originalname).slice(1);
+            const saved = await mediaStore.saveStream(fsSync.createReadStream(file.path), ext);
+            const mediaUrl = `/media/${saved.id}`;
+            
+            items.push({
+                type,
+                media_id: saved.id,
+                media_url: mediaUrl,
+                message_id: index,
+                mime_type: file.mimetype,
+                file_name: file.originalname,
+                file_size: saved.size
+            });
+        }
+        
+        const { caption, tags } = parseHashtags(req.body.caption || '');
+        const draft = {
+            caption: caption || untitledCaption(items[0].type),
+            tags: uniqueTags([...tags, ...parseTagInput(req.body.tags)]),
+            author: req.actor.name,
+            created_at: new Date().toISOString(),
+            media_group_id: items.length > 1 ? `upload-${Date.now()}` : null,
+            status,
+            publish_at: publishAt ? publishAt.toISOString() : null,
+            items
+        };
+        
+        const post = await createPost(draft, String(req.body.description || '').trim(), req.actor);
+        await updateStats();
+        
+        console.log(`New ${post.type} uploaded via admin API by ${req.actor.name}: ${post.caption}`);
+        res.status(201).json({ success: true, post: publicPost(post) });
+    } catch (error) {
+        console.error('Error creating post:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Edit caption, description and/or tags
+app.patch('/api/admin/posts/:id', authenticateAdmin, requirePermission('edit'), async (req, res) => {
+    const postId = parseInt(req.params.id);
+    const changes = {};
+    
+    for (const field of EDITABLE_FIELDS) {
+        if (req.body[field] === undefined) continue;
+        changes[field] = field === 'tags'
+            ? parseTagInput(req.body[field])
+            : String(req.body[field]).trim();
+    }
+    
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ success: false, error: 'Nothing to change' });
+    }
+    if (changes.caption === '') {
+        return res.status(400).json({ success: false, error: 'Caption cannot be empty' });
+    }
+    
+    try {
+        const post = await storage.getPost(postId);
+        if (!post || post.deleted_at) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+        
+        // The dashboard sends every field on save; only the ones that differ are edits
+        let updated = post;
+        for (const [field, value] of Object.entries(changes)) {
+            if (sameFieldValue(post[field], value)) continue;
+            updated = await editPost(postId, field, () => value, req.actor);
+            // Deleted while this request was running
+            if (!updated) {
+                return res.status(404).json({ success: false, error: 'Post not found' });
+            }
+        }
+        
+        res.json({ success: true, post: publicPost(updated) });
+    } catch (error) {
+        console.error('Error editing post:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Move a post to the trash
+app.delete('/api/admin/posts/:id', authenticateAdmin, requirePermission('delete'), async (req, res) => {
+    try {
+        const post = await trashPost(parseInt(req.params.id), req.actor);
+        if (!post) {
+            return res.status(404).json({ success: false, error: 'Post not found' });
+        }
+        
+        await updateStats();
+        res.json({ success: true, post: publicPost(post) });
+    } catch (error) {
+        console.error('Error deleting post:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Apply one action to many posts: { action, ids, tags, collection }
+const BULK_ACTIONS = {
+    delete: { permission: 'delete', run: (id, req) => trashPost(id, req.actor) },
+    restore: { permission: 'delete', run: (id, req) => restorePost(id, req.actor) },
+    publish: { permission: 'edit', run: (id, req) => publishPost(id, req.actor) },
+    tag: {
+        permission: 'edit',
+        run: (id, req) => editPost(id, 'tags', (current = []) => uniqueTags([...current, ...req.tags]), req.actor)
+    },
+    untag: {
+        permission: 'edit',
+        run: (id, req) => editPost(id, 'tags', (current = []) => current.filter(t => !req.tags.includes(t)), req.actor)
+    }
+};
+
+app.post('/api/admin/posts/bulk', authenticateAdmin, async (req, res) => {
+    const { action, collection } = req.body || {};
+    const ids = parsePostIds(req.body && req.body.ids).slice(0, 100);
+    const isCollectionAction = action === 'collect' || action === 'uncollect';
+    const bulk = BULK_ACTIONS[action];
+    
+    if (!bulk && !isCollectionAction) {
+        return res.status(400).json({ success: false, error: 'Unknown action' });
+    }
+    if (!hasPermission(req.admin, bulk ? bulk.permission : 'edit')) {
+        return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    if (ids.length === 0) {
+        return res.status(400).json({ success: false, error: 'No post ids' });
+    }
+    
+    try {
+        if (isCollectionAction) {
+            const slug = String(collection || '');
+            if (!(await readCollections()).some(c => c.slug === slug)) {
+                return res.status(404).json({ success: false, error: 'Collection not found' });
+            }
+            
+            // Unknown posts are never added; trashed ones may still be taken out
+            const posts = await storage.listPosts();
+            const found = ids.filter(id => posts.some(p => p.id === id && (action === 'uncollect' || !p.deleted_at)));
+            if (found.length > 0) {
+                const count = await changeCollectionPosts(slug, found, action === 'collect' ? 'add' : 'remove', req.actor);
+                if (count === null) {
+                    return res.status(404).json({ success: false, error: 'Collection not found' });
+                }
+            }
+            return res.json({ success: true, results: ids.map(id => ({ id, ok: found.includes(id) })) });
+        }
+        
+        req.tags = parseTagInput(req.body.tags);
+        if ((action === 'tag' || action === 'untag') && req.tags.length === 0) {
+            return res.status(400).json({ success: false, error: 'No tags' });
+        }
+        
+        const results = [];
+        for (const id of ids) {
+            try {
+                const post = await storage.getPost(id);
+                // Only restore reaches into the trash
+                if (!post || (post.deleted_at && action !== 'restore')) {
+                    results.push({ id, ok: false });
+                    continue;
+                }
+                results.push({ id, ok: Boolean(await bulk.run(id, req)) });
+            } catch (error) {
+                console.error(`Error running bulk ${action} on post ${id}:`, error);
+                results.push({ id, ok: false });
+            }
+        }
+        
+        await updateStats();
+        res.json({ success: true, results });
+    } catch (error) {
+        console.error('Error running bulk action:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Reorder. With a collection slug, ids is the collection's full new order.
+// Without, ids are the posts to pin at the top of the "featured" gallery
+// order, in that order; every other post is unpinned.
+app.post('/api/admin/reorder', authenticateAdmin, requirePermission('edit'), async (req, res) => {
+    const ids = parsePostIds(req.body && req.body.ids);
+    const slug = req.body && req.body.collection;
+    
+    try {
+        if (slug) {
+            let result = null;
+            await updateCollections(collections => {
+                const collection = collections.find(c => c.slug === slug);
+                if (!collection) return;
+                
+                const sameSet = ids.length === collection.post_ids.length &&
+                    ids.every(id => collection.post_ids.includes(id));
+                if (!sameSet) {
+                    result = 'mismatch';
+                    return;
+                }
+                result = { before: collection.post_ids, after: ids };
+                collection.post_ids = ids;
+            });
+            
+            if (!result) {
+                return res.status(404).json({ success: false, error: 'Collection not found' });
+            }
+            if (result === 'mismatch') {
+                return res.status(400).json({ success: false, error: 'ids must list every post in the collection' });
+            }
+            auditLog.record({ actor: req.actor, action: 'reorder', target: slug, before: result.before, after: result.after });
+            return res.json({ success: true, ids });
+        }
+        
+        const posts = await storage.listPosts();
+        const missing = ids.filter(id => !posts.some(p => p.id === id && !p.deleted_at));
+        if (missing.length > 0) {
+            return res.status(404).json({ success: false, error: `Post not found: ${missing.join(', ')}` });
+        }
+        
+        const pinnedBefore = posts
+            .filter(p => p.position)
+            .sort((a, b) => b.position - a.position)
+            .map(p => p.id);
+        
+        for (const id of pinnedBefore.filter(id => !ids.includes(id))) {
+            await storage.updatePost(id, p => {
+                delete p.position;
+            });
+        }
+        for (const [index, id] of ids.entries()) {
+            await storage.updatePost(id, p => {
+                p.position = ids.length - index;
+            });
+        }
+        
+        auditLog.record({ actor: req.actor, action: 'reorder', target: 'featured', before: pinnedBefore, after: ids });
+        await updateStats();
+        eventHub.broadcast('posts-reordered', { ids });
+        res.json({ success: true, ids });
+    } catch (error) {
+        console.error('Error reordering posts:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Download the whole collection as a zip
+app.get('/api/admin/export', authenticateAdmin, requirePermission('backup'), async (req, res) => {
+    try {
+        const result = await exportCollection(req.actor);
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${archiveFilename()}"`
+        });
+        await pipeline(result.stream, res);
+    } catch (error) {
+        console.error('Error exporting collection:', error);
+        if (res.headersSent) {
+            // Cut the download short so the client sees it failed
+            return res.destroy();
+        }
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Archives go to a temp file, not memory; the route removes it when done
+const importUpload = multer({
+    dest: os.tmpdir(),
+    limits: {
+        fileSize: MAX_IMPORT_BYTES,
+        files: 1
+    }
+});
+
+function receiveArchive(req, res, next) {
+    importUpload.single('archive')(req, res, (error) => {
+        if (!error) return next();
+        const messages = {
+            LIMIT_FILE_SIZE: 'Archive too large',
+            LIMIT_UNEXPECTED_FILE: 'Send one file in the "archive" field'
+        };
+        res.status(400).json({ success: false, error: messages[error.code] || 'Invalid upload' });
+    });
+}
+
+// Merge an export (multipart field "archive") into this deploy
+app.post('/api/admin/import', authenticateAdmin, requirePermission('backup'), receiveArchive, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, error: 'No archive uploaded' });
+    }
+    
+    try {
+        const report = await importCollection(req.file.path, req.actor);
+        res.json({ success: true, report });
+    } catch (error) {
+        if (error.code === 'INVALID_ARCHIVE') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Error importing collection:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    } finally {
+        fs.rm(req.file.path, { force: true }).catch(() => {});
+    }
+});
+
+function isValidWebhookSecret(value) {
+    if (typeof value !== 'string') return false;
+    const expected = Buffer.from(WEBHOOK_SECRET);
+    const received = Buffer.from(value);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Telegram Bot Webhook
+app.post('/webhook', async (req, res) => {
+    if (!isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    
+    const update = req.body;
+    if (!update || !Number.isInteger(update.update_id)) {
+        return res.status(400).json({ success: false, error: 'Bad request' });
+    }
+    
+    try {
+        // A retry of an update we already handled (or are handling)
+        if (!(await updateLog.claim(update.update_id))) {
+            return res.json({ success: true });
+        }
+        
+        try {
+            await bot.handleUpdate(update);
+        } catch (error) {
+            await updateLog.release(update.update_id);
+            throw error;
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Webhook error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Telegram Bot Setup
+
+// Persistent sessions keyed by user + chat, so a pending upload survives
+// restarts and webhooks that land on another instance. Updates from one chat
+// are handled in order so they don't overwrite each other's session changes.
+const sessionStore = createSessionStore(SESSIONS_FILE, { ttl: SESSION_TTL });
+bot.use(sequentialSession(sessionStore));
+
+function clearPendingPost(ctx) {
+    if (!ctx.session) return;
+    
+    delete ctx.session.pendingPost;
+    delete ctx.session.waitingForDescription;
+    if (Object.keys(ctx.session).length === 0) {
+        ctx.session = null;
+    }
+}
+
+// Drop abandoned drafts and let the admin know
+async function expireSessions() {
+    try {
+        const expired = await sessionStore.sweep();
+        for (const { key, data } of expired) {
+            if (!data || !data.pendingPost) continue;
+            if (data.pendingPost.media_group_id) {
+                await albums.discard(data.pendingPost.media_group_id);
+            }
+
+            const chatId = key.split(':')[1];
+            bot.telegram.sendMessage(chatId,
+                `⌛ Your pending upload "${data.pendingPost.caption}" expired without a description and was discarded.`)
+                .catch(err => console.error('Error notifying expired session:', err));
+        }
+        await albums.sweep();
+    } catch (error) {
+        console.error('Error expiring sessions:', error);
+    }
+}
+
+// The pending post with every album item that has arrived, in message order
+async function withAlbumItems(draft) {
+    if (!draft.media_group_id) return draft;
+    
+    const items = [...draft.items];
+    for (const item of await albums.take(draft.media_group_id)) {
+        if (!items.some(i => i.message_id === item.message_id)) items.push(item);
+    }
+    return { ...draft, items: items.sort((a, b) => a.message_id - b.message_id) };
+}
+
+// Look up the sender's role once per update
+bot.use(async (ctx, next) => {
+    try {
+        ctx.state.admin = await findAdmin(ctx.from);
+    } catch (error) {
+        console.error('Error loading admins:', error);
+        ctx.state.admin = null;
+    }
+    return next();
+});
+
+// Check if user is admin (any role)
+function isAdmin(ctx) {
+    return Boolean(ctx.state.admin);
+}
+
+function can(ctx, permission) {
+    return hasPermission(ctx.state.admin, permission);
+}
+
+function deniedMessage(ctx) {
+    return ctx.state.admin
+        ? `⛔ Your role (${ctx.state.admin.role}) can't use this command.`
+        : '⛔ Admin only command.';
+}
+
+bot.start((ctx) => {
+    if (!isAdmin(ctx)) {
+        return ctx.reply('⛔ Access Denied\n\nThis bot is for admin use only.');
+    }
+    
+    return ctx.reply(`🔐 Welcome Admin!\n\n📤 Upload photos/videos to the public website:\n\n1. Send a photo or video\n2. Add caption starting with /upload\n\nExample:\n<code>/upload This is an amazing photo</code>\n\n🌐 Website: ${process.env.WEBSITE_URL || 'https://your-site.com'}`, 
+    { parse_mode: 'HTML' });
+});
+
+// Help lists only the commands the sender's role may use
+const HELP_COMMANDS = [
+    ['/start - Start the bot', null],
+    ['/upload [caption] - Upload photo/video with caption', 'upload'],
+    ['/stats - Get website statistics', 'view_stats'],
+    ['/top [day|week|month] - Most viewed posts and referrers', 'view_stats'],
+    ['/list - List all posts', 'view_stats'],
+    ['/delete [id] - Move a post to the trash', 'delete'],
+    ['/trash - List trashed posts', 'delete'],
+    ['/restore [id] - Restore a post from the trash', 'delete'],
+    ['/draft [caption] - Upload as a draft instead of publishing', 'upload'],
+    ['/drafts [page] - List drafts and scheduled posts', 'edit'],
+    ['/schedule [id] [time] - Publish a draft later', 'edit'],
+    ['/publish [id] - Publish a draft now', 'edit'],
+    ['/cancel - Discard the pending upload', 'upload'],
+    ['/edit [id] [field] [value] - Edit caption, description or tags', 'edit'],
+    ['/tag [id] [tags] - Add tags to a post', 'edit'],
+    ['/untag [id] [tags] - Remove tags from a post', 'edit'],
+    ['/collection create|add|remove|list - Manage collections', 'edit'],
+    ['/repair [id] - Re-download missing media and create missing thumbnails', 'edit'],
+    ['/admins add|remove|list - Manage admins and roles', 'manage_admins'],
+    ['/audit [n] - Show the last n admin actions', 'view_audit'],
+    ['/audit export - Download the audit log (JSONL)', 'view_audit'],
+    ['/export - Download all posts and media as a zip', 'backup'],
+    ['/import - Merge an export zip into this site', 'backup'],
+    ['/backups [now] - List data backups, or take one now', 'backup'],
+    ['/restore_backup [name] - Restore the data from a backup', 'backup'],
+    ['/token - Create an API token for the admin dashboard', null],
+    ['/token revoke - Revoke your API token', null],
+    ['/myid - Show your Telegram user ID', null]
+];
+
+bot.help((ctx) => {
+    if (!isAdmin(ctx)) {
+        return ctx.reply('⛔ This bot is for admin use only.');
+    }
+    
+    const commands = HELP_COMMANDS
+        .filter(([_, permission]) => !permission || can(ctx, permission))
+        .map(([line]) => line);
+    
+    let message = `🤖 Admin Commands (${ctx.state.admin.role}):\n\n` + commands.join('\n');
+    if (can(ctx, 'upload')) {
+        message += `\n\n` +
+                   `💡 How to upload:\n` +
+                   `1. Take a photo or video\n` +
+                   `2. Add caption: <code>/upload Your caption here #tag</code>\n` +
+                   `3. Add description (optional)\n` +
+                   `4. Send it!`;
+    }
+    
+    return ctx.reply(message, { parse_mode: 'HTML' });
+});
+
+// Anyone can look up their ID so an owner can add them with /admins add
+bot.command('myid', (ctx) => {
+    return ctx.reply(`🆔 Your Telegram user ID: <code>${ctx.from.id}</code>`, { parse_mode: 'HTML' });
+});
+
+// Owners manage admins: /admins list | add <user_id> <role> [name] | remove <user_id>
+bot.command('admins', async (ctx) => {
+    if (!can(ctx, 'manage_admins')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const [action, idArg, ...rest] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const roles = Object.keys(ROLE_PERMISSIONS);
+    const usage = 'Usage:\n' +
+                  '/admins list\n' +
+                  `/admins add [user_id] [${roles.join('|')}] [name]\n` +
+                  '/admins remove [user_id]\n\n' +
+                  'Users can get their ID with /myid';
+    
+    try {
+        if (!action || action === 'list') {
+            const admins = await readAdmins();
+            let message = '👑 Admins:\n\n';
+            admins.forEach((admin, index) => {
+                message += `${index + 1}. ${admin.name || 'Unnamed'} (${admin.id})\n`;
+                message += `   🎭 ${admin.role}\n\n`;
+            });
+            message += `📊 Total: ${admins.length}`;
+            return ctx.reply(message);
+        }
+        
+        const userId = parseInt(idArg);
+        if (isNaN(userId)) {
+            return ctx.reply(usage);
+        }
+        
+        if (action === 'add') {
+            const role = (rest[0] || '').toLowerCase();
+            if (!roles.includes(role)) {
+                return ctx.reply(`❌ Unknown role. Choose one of: ${roles.join(', ')}`);
+            }
+            const name = rest.slice(1).join(' ');
+            
+            let demotesLastOwner = false;
+            let before = null;
+            let after = null;
+            await updateAdmins(admins => {
+                const admin = admins.find(a => a.id === userId);
+                if (admin) {
+                    before = auditAdmin(admin);
+                    if (admin.role === 'owner' && role !== 'owner' &&
+                        admins.filter(a => a.role === 'owner').length === 1) {
+                        demotesLastOwner = true;
+                        return admins;
+                    }
+                    admin.role = role;
+                    if (name) admin.name = name;
+                    after = auditAdmin(admin);
+                    return admins;
+                }
+                after = {
+                    id: userId,
+                    role,
+                    name,
+                    added_by: ctx.from.id,
+                    added_at: new Date().toISOString()
+                };
+                return [...admins, after];
+            });
+            
+            if (demotesLastOwner) {
+                return ctx.reply('❌ Cannot change the role of the last owner.');
+            }
+            const existed = Boolean(before);
+            auditLog.record({ actor: auditActor(ctx), action: existed ? 'admin_update' : 'admin_add', target: userId, before, after });
+            return ctx.reply(existed
+                ? `✅ ${userId} is now ${role}.`
+                : `✅ Added ${name || userId} as ${role}.`);
+        }
+        
+        if (action === 'remove') {
+            let removed = null;
+            let lastOwner = false;
+            await updateAdmins(admins => {
+                const admin = admins.find(a => a.id === userId);
+                if (!admin) return admins;
+                removed = auditAdmin(admin);
+                if (admin.role === 'owner' && admins.filter(a => a.role === 'owner').length === 1) {
+                    lastOwner = true;
+                    return admins;
+                }
+                return admins.filter(a => a.id !== userId);
+            });
+            
+            if (!removed) return ctx.reply('❌ Admin not found');
+            if (lastOwner) return ctx.reply('❌ Cannot remove the last owner.');
+            auditLog.record({ actor: auditActor(ctx), action: 'admin_remove', target: userId, before: removed, after: null });
+            return ctx.reply(`✅ Removed ${userId}.`);
+        }
+        
+        return ctx.reply(usage);
+    } catch (error) {
+        console.error('Error managing admins:', error);
+        return ctx.reply('❌ Error managing admins');
+    }
+});
+
+// Personal API token for /api/admin and admin.html. A new token replaces the old one.
+bot.command('token', async (ctx) => {
+    if (!isAdmin(ctx)) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const revoke = ctx.message.text.split(' ')[1] === 'revoke';
+    const token = revoke ? null : crypto.randomBytes(24).toString('base64url');
+    
+    try {
+        await updateAdmins(admins => {
+            const admin = admins.find(a => a.id === ctx.from.id);
+            if (!admin) return;
+            if (revoke) {
+                delete admin.token_hash;
+            } else {
+                admin.token_hash = hashToken(token);
+            }
+        });
+        auditLog.record({ actor: auditActor(ctx), action: revoke ? 'token_revoke' : 'token_issue', target: ctx.from.id, before: null, after: null });
+        
+        if (revoke) {
+            return ctx.reply('🔒 API token revoked.');
+        }
+        return ctx.reply(`🔑 Your API token (shown only once):\n\n<code>${token}</code>\n\n` +
+                 `Use it on ${process.env.WEBSITE_URL || ''}/admin.html or as\n` +
+                 `<code>Authorization: Bearer [token]</code>\n\n` +
+                 `It replaces any previous token. Revoke with /token revoke`,
+        { parse_mode: 'HTML' });
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        return ctx.reply('❌ Error creating API token');
+    }
+});
+
+const AUDIT_ICONS = {
+    upload: '📤',
+    edit: '✏️',
+    delete: '🗑️',
+    restore: '♻️',
+    purge: '🔥',
+    schedule: '⏰',
+    publish: '✅',
+    admin_add: '👑',
+    admin_update: '🎭',
+    admin_remove: '🚫',
+    token_issue: '🔑',
+    token_revoke: '🔒',
+    reorder: '↕️',
+    collect: '📚',
+    uncollect: '📕',
+    export: '📦',
+    import: '📥',
+    backup: '💾',
+    restore_backup: '⏪'
+};
+
+function formatAuditEntry(entry) {
+    const who = entry.actor ? `${entry.actor.name} (${entry.actor.id})` : 'system';
+    const snapshot = entry.after || entry.before || {};
+    
+    let what = entry.action;
+    if (entry.post_id) {
+        what += ` post ${entry.post_id}`;
+        if (snapshot.caption) what += ` "${snapshot.caption}"`;
+        if (entry.field) what += ` (${entry.field})`;
+    } else if (entry.target) {
+        what += ` ${entry.target}`;
+        if (entry.after && entry.after.role) what += ` as ${entry.after.role}`;
+    }
+    
+    return `${AUDIT_ICONS[entry.action] || '•'} ${what}\n` +
+           `   👤 ${who}\n` +
+           `   🕒 ${new Date(entry.at).toLocaleString()}`;
+}
+
+// Browse the audit log: /audit [n], or /audit export for the whole log as JSONL
+bot.command('audit', async (ctx) => {
+    if (!can(ctx, 'view_audit')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const arg = ctx.message.text.split(' ')[1];
+    
+    try {
+        if (arg === 'export') {
+            await auditLog.settle();
+            if (!fsSync.existsSync(AUDIT_FILE)) {
+                return ctx.reply('📭 The audit log is empty.');
+            }
+            return ctx.replyWithDocument({
+                source: AUDIT_FILE,
+                filename: `audit-${new Date().toISOString().slice(0, 10)}.jsonl`
+            });
+        }
+        
+        const limit = Math.min(Math.max(parseInt(arg) || 10, 1), 50);
+        const entries = await auditLog.recent(limit);
+        if (entries.length === 0) {
+            return ctx.reply('📭 The audit log is empty.');
+        }
+        
+        // Stay under Telegram's 4096 character message limit
+        let message = `📜 Last ${entries.length} admin action(s):\n\n`;
+        for (const entry of entries) {
+            const line = formatAuditEntry(entry) + '\n\n';
+            if (message.length + line.length > 4000) break;
+            message += line;
+        }
+        return ctx.reply(message.trim());
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        return ctx.reply('❌ Error reading audit log');
+    }
+});
+
+// "5 (❤️ 3 🔥 2)": total, then the count of each emoji given
+function formatReactions(counts = {}) {
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const parts = REACTIONS.filter(emoji => counts[emoji]).map(emoji => `${emoji} ${counts[emoji]}`);
+    return parts.length > 0 ? `${total} (${parts.join(' ')})` : `${total}`;
+}
+
+// "▲ 12% vs previous" style comparison for the bot
+function formatTrend(current, previous) {
+    if (previous === 0) {
+        return current > 0 ? '🆕 none before' : 'no change';
+    }
+    const change = Math.round((current - previous) / previous * 100);
+    if (change === 0) return 'no change';
+    return `${change > 0 ? '▲' : '▼'} ${Math.abs(change)}% vs previous`;
+}
+
+// Tiny bar chart of a series, e.g. "▁▃▅█▂"
+function sparkline(values) {
+    const bars = '▁▂▃▄▅▆▇█';
+    const max = Math.max(...values, 1);
+    return values.map(v => bars[Math.round(v / max * (bars.length - 1))]).join('');
+}
+
+// Top posts and referrers of a period, for /top and the weekly summary
+async function formatTopReport(period) {
+    const report = await topReport(period, 10, { includeReferrers: true });
+    const label = { day: 'last 24 hours', week: 'last 7 days', month: 'last 30 days' }[report.period];
+    
+    let message = `🏆 Top posts, ${label}\n` +
+                  `👁️ ${report.views} views (${formatTrend(report.views, report.previous_views)})\n\n`;
+    
+    if (report.posts.length === 0) {
+        message += 'No views yet.\n';
+    }
+    report.posts.forEach(({ post, views }, index) => {
+        message += `${index + 1}. ${post.caption || 'Untitled'} - ${views} views\n`;
+        message += `   🆔 ${post.id}\n`;
+    });
+    
+    if (report.referrers.length > 0) {
+        message += `\n🔗 Referrers:\n`;
+        report.referrers.slice(0, 5).forEach(({ referrer, views }) => {
+            message += `• ${referrer}: ${views}\n`;
+        });
+    }
+    return message;
+}
+
+bot.command('stats', async (ctx) => {
+    if (!can(ctx, 'view_stats')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    try {
+        const stats = await getStats();
+        const posts = await readPosts();
+        
+        const countOf = type => posts.filter(p => p.type === type).length;
+        
+        const today = await analytics.top('day', { limit: 1 });
+        const week = await analytics.top('week', { limit: 1 });
+        const days = await analytics.timeseries({ interval: 'day', count: 7 });
+        
+        return ctx.reply(`📊 Website Statistics:\n\n` +
+                 `📝 Total Posts: ${stats.total_posts}\n` +
+                 `👁️ Total Views: ${stats.total_views}\n` +
+                 `💬 Total Reactions: ${formatReactions(reactionCounts(posts))}\n` +
+                 `🖼️ Images: ${countOf('image')}\n` +
+                 `🎥 Videos: ${countOf('video')}\n` +
+                 `🎞️ GIFs: ${countOf('gif')}\n` +
+                 `🎵 Audio: ${countOf('audio')}\n\n` +
+                 `📈 Last 24h: ${today.views} views (${formatTrend(today.views, today.previous_views)})\n` +
+                 `📅 Last 7 days: ${week.views} views (${formatTrend(week.views, week.previous_views)})\n` +
+                 `${sparkline(days.map(d => d.views))}\n\n` +
+                 `🕒 Last Update: ${new Date(stats.last_update).toLocaleString()}\n\n` +
+                 `👤 Admin: ${ctx.from.username}\n\n` +
+                 `🏆 More with /top [day|week|month]`);
+    } catch (error) {
+        console.error('Error getting stats:', error);
+        return ctx.reply('❌ Error getting statistics');
+    }
+});
+
+// Send the weekly summary to every admin who can see stats, once per week.
+// The date of the last send is stored so a restart does not send it twice.
+async function sendWeeklySummary() {
+    const now = new Date();
+    if (now.getDay() !== WEEKLY_SUMMARY_DAY || now.getHours() < WEEKLY_SUMMARY_HOUR) return;
+    
+    try {
+        // The same local date the day and hour were checked against, not UTC's
+        const today = [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+            .map(part => String(part).padStart(2, '0'))
+            .join('-');
+        let due = false;
+        await storage.updateDocument('weekly_summary', {}, state => {
+            if (state.last_sent === today) return;
+            state.last_sent = today;
+            due = true;
+        });
+        if (!due) return;
+        
+        const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        const newPosts = (await readPosts()).filter(p => new Date(p.created_at).getTime() >= weekAgo).length;
+        const message = `📬 Weekly summary\n\n` +
+                        `📝 New posts: ${newPosts}\n\n` +
+                        await formatTopReport('week');
+        
+        const admins = (await readAdmins()).filter(admin => hasPermission(admin, 'view_stats'));
+        for (const admin of admins) {
+            bot.telegram.sendMessage(admin.id, message)
+                .catch(err => console.error(`Error sending weekly summary to ${admin.id}:`, err));
+        }
+        console.log(`Weekly summary sent to ${admins.length} admin(s)`);
+    } catch (error) {
+        console.error('Error sending weekly summary:', error);
+    }
+}
+
+bot.command('top', async (ctx) => {
+    if (!can(ctx, 'view_stats')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const period = ctx.message.text.split(' ')[1] || 'week';
+    if (!Object.hasOwn(PERIODS, period)) {
+        return ctx.reply('Usage: /top [day|week|month]');
+    }
+    
+    try {
+        return ctx.reply(await formatTopReport(period));
+    } catch (error) {
+        console.error('Error getting top posts:', error);
+        return ctx.reply('❌ Error getting top posts');
+    }
+});
+
+// Captions are up to 1024 characters; lists show the start so a page of them
+// stays under Telegram's 4096-character message limit
+function listCaption(post) {
+    const caption = post.caption || 'Untitled';
+    return caption.length > 80 ? `${caption.slice(0, 79)}…` : caption;
+}
+
+bot.command('list', async (ctx) => {
+    if (!can(ctx, 'view_stats')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    try {
+        const posts = await readPosts();
+        const latest = posts.slice(0, 10);
+        
+        if (latest.length === 0) {
+            return ctx.reply('📭 No posts yet. Start uploading!');
+        }
+        
+        let message = '📋 Latest 10 Posts:\n\n';
+        latest.forEach((post, index) => {
+            const date = new Date(post.created_at);
+            const timeAgo = formatTimeAgo(date);
+            message += `${index + 1}. ${listCaption(post)}\n`;
+            message += `   👁️ ${post.views || 0} views | 💬 ${formatReactions(post.reactions)} | ${timeAgo}\n`;
+            message += `   🆔 ID: ${post.id}\n\n`;
+        });
+        
+        message += `📊 Total: ${posts.length} posts, ${posts.reduce((sum, post) => sum + reactionTotal(post), 0)} reactions`;
+        return ctx.reply(message);
+    } catch (error) {
+        console.error('Error listing posts:', error);
+        return ctx.reply('❌ Error listing posts');
+    }
+});
+
+bot.command('delete', async (ctx) => {
+    if (!can(ctx, 'delete')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1);
+    if (args.length === 0) {
+        return ctx.reply('Usage: /delete [post_id]\nExample: /delete 123');
+    }
+    
+    const postId = parseInt(args[0]);
+    if (isNaN(postId)) {
+        return ctx.reply('❌ Invalid post ID');
+    }
+    
+    try {
+        const post = await storage.getPost(postId);
+        if (!post || post.deleted_at) {
+            return ctx.reply('❌ Post not found');
+        }
+        
+        return ctx.reply(`🗑️ Move this post to the trash?\n\n` +
+                 `📝 Caption: ${post.caption || 'Untitled'}\n` +
+                 `🆔 ID: ${post.id}\n\n` +
+                 `It can be restored with /restore for ${TRASH_RETENTION / (24 * 60 * 60 * 1000)} days.`,
+            Markup.inlineKeyboard([
+                Markup.button.callback('🗑️ Move to trash', `delete:${post.id}:confirm`),
+                Markup.button.callback('Cancel', `delete:${post.id}:cancel`)
+            ]));
+    } catch (error) {
+        console.error('Error deleting post:', error);
+        return ctx.reply('❌ Error deleting post');
+    }
+});
+
+// Confirmation buttons for /delete
+bot.action(/^delete:(\d+):(confirm|cancel)$/, async (ctx) => {
+    if (!can(ctx, 'delete')) {
+        return ctx.answerCbQuery(deniedMessage(ctx));
+    }
+    
+    const postId = parseInt(ctx.match[1]);
+    await ctx.answerCbQuery();
+    
+    if (ctx.match[2] === 'cancel') {
+        return ctx.editMessageText('✖️ Delete cancelled.');
+    }
+    
+    try {
+        const deletedPost = await trashPost(postId, auditActor(ctx));
+        if (!deletedPost) {
+            return ctx.editMessageText('❌ Post not found');
+        }
+        
+        const stats = await updateStats();
+        
+        console.log(`Post ${postId} moved to trash by ${ctx.from.username}`);
+        return ctx.editMessageText(`✅ Post moved to trash!\n\n` +
+                 `📝 Caption: ${deletedPost.caption || 'Untitled'}\n` +
+                 `🆔 ID: ${deletedPost.id}\n` +
+                 `📊 Remaining posts: ${stats ? stats.total_posts : '?'}\n\n` +
+                 `♻️ Undo with /restore ${deletedPost.id}`);
+    } catch (error) {
+        console.error('Error deleting post:', error);
+        return ctx.reply('❌ Error deleting post');
+    }
+});
+
+const DRAFTS_PAGE_SIZE = 20;
+
+// /drafts [page]
+bot.command('drafts', async (ctx) => {
+    if (!can(ctx, 'edit')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    try {
+        const posts = await readUnpublished();
+        if (posts.length === 0) {
+            return ctx.reply('📭 No drafts or scheduled posts.');
+        }
+        
+        const pages = Math.ceil(posts.length / DRAFTS_PAGE_SIZE);
+        const page = Math.min(Math.max(parseInt(ctx.message.text.split(' ')[1]) || 1, 1), pages);
+        const start = (page - 1) * DRAFTS_PAGE_SIZE;
+        
+        let message = `📝 Drafts & Scheduled${pages > 1 ? ` (page ${page}/${pages})` : ''}:\n\n`;
+        posts.slice(start, start + DRAFTS_PAGE_SIZE).forEach((post, index) => {
+            message += `${start + index + 1}. ${listCaption(post)}\n`;
+            message += post.status === 'scheduled'
+                ? `   ⏰ Scheduled for ${new Date(post.publish_at).toLocaleString()}\n`
+                : `   📝 Draft\n`;
+            message += `   🆔 ID: ${post.id}\n\n`;
+        });
+        
+        message += `📊 Total: ${posts.length}`;
+        if (page < pages) {
+            message += `\n➡️ Next page: /drafts ${page + 1}`;
+        }
+        return ctx.reply(message);
+    } catch (error) {
+        console.error('Error listing drafts:', error);
+        return ctx.reply('❌ Error listing drafts');
+    }
+});
+
+// Schedule a draft: /schedule <id> <time>, or /schedule <id> off to turn it back into a draft
+bot.command('schedule', async (ctx) => {
+    if (!can(ctx, 'edit')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const [idArg, ...timeParts] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    if (!idArg || timeParts.length === 0) {
+        return ctx.reply('Usage: /schedule [post_id] [time]\n' +
+                        'Examples:\n' +
+                        '/schedule 123 2024-06-01 18:00\n' +
+                        '/schedule 123 2024-06-01 18:00 +07:00\n' +
+                        '/schedule 123 +2h\n' +
+                        '/schedule 123 off');
+    }
+    
+    const postId = parseInt(idArg);
+    if (isNaN(postId)) {
+        return ctx.reply('❌ Invalid post ID');
+    }
+    
+    const unschedule = timeParts.join(' ').toLowerCase() === 'off';
+    const publishAt = unschedule ? null : parseScheduleTime(timeParts.join(' '));
+    if (!unschedule && !publishAt) {
+        return ctx.reply('❌ Invalid time');
+    }
+    if (publishAt && publishAt.getTime() <= Date.now()) {
+        return ctx.reply('❌ Time must be in the future. Use /publish to publish now.');
+    }
+    
+    try {
+        const post = await storage.getPost(postId);
+        if (!post || post.deleted_at) {
+            return ctx.reply('❌ Post not found');
+        }
+        if (isPublic(post)) {
+            return ctx.reply('❌ Post is already published');
+        }
+        
+        const scheduled = await storage.updatePost(postId, p => {
+            if (unschedule) {
+                p.status = 'draft';
+                delete p.publish_at;
+            } else {
+                p.status = 'scheduled';
+                p.publish_at = publishAt.toISOString();
+            }
+        });
+        auditLog.record({ actor: auditActor(ctx), action: 'schedule', post_id: postId, before: auditSnapshot(post), after: auditSnapshot(scheduled) });
+        
+        return ctx.reply(unschedule
+            ? `📝 Post ${postId} is a draft again.`
+            : `⏰ Post ${postId} scheduled for ${publishAt.toLocaleString()}`);
+    } catch (error) {
+        console.error('Error scheduling post:', error);
+        return ctx.reply('❌ Error scheduling post');
+    }
+});
+
+bot.command('publish', async (ctx) => {
+    if (!can(ctx, 'edit')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1);
+    const postId = parseInt(args[0]);
+    if (isNaN(postId)) {
+        return ctx.reply('Usage: /publish [post_id]\nExample: /publish 123');
+    }
+    
+    try {
+        const post = await storage.getPost(postId);
+        if (!post || post.deleted_at) {
+            return ctx.reply('❌ Post not found');
+        }
+        if (isPublic(post)) {
+            return ctx.reply('ℹ️ Post is already published');
+        }
+        
+        await publishPost(postId, auditActor(ctx));
+        await updateStats();
+        
+        return ctx.reply(`✅ Post published!\n\n` +
+                 `📝 Caption: ${post.caption}\n` +
+                 `Direct link: ${process.env.WEBSITE_URL || ''}/p/${post.id}`);
+    } catch (error) {
+        console.error('Error publishing post:', error);
+        return ctx.reply('❌ Error publishing post');
+    }
+});
+
+bot.command('trash', async (ctx) => {
+    if (!can(ctx, 'delete')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    try {
+        const trash = await readTrash();
+        if (trash.length === 0) {
+            return ctx.reply('🗑️ Trash is empty.');
+        }
+        
+        let message = '🗑️ Trash:\n\n';
+        trash.slice(0, 20).forEach((post, index) => {
+            const purgeAt = new Date(new Date(post.deleted_at).getTime() + TRASH_RETENTION);
+            const daysLeft = Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+            message += `${index + 1}. ${listCaption(post)}\n`;
+            message += `   🕒 Deleted ${formatTimeAgo(new Date(post.deleted_at))} | purged in ${daysLeft}d\n`;
+            message += `   🆔 ID: ${post.id}\n\n`;
+        });
+        
+        message += `📊 Total: ${trash.length} in trash\n♻️ Restore with /restore [id]`;
+        return ctx.reply(message);
+    } catch (error) {
+        console.error('Error listing trash:', error);
+        return ctx.reply('❌ Error listing trash');
+    }
+});
+
+bot.command('restore', async (ctx) => {
+    if (!can(ctx, 'delete')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1);
+    if (args.length === 0) {
+        return ctx.reply('Usage: /restore [post_id]\nExample: /restore 123');
+    }
+    
+    const postId = parseInt(args[0]);
+    if (isNaN(postId)) {
+        return ctx.reply('❌ Invalid post ID');
+    }
+    
+    try {
+        const restored = await restorePost(postId, auditActor(ctx));
+        if (!restored) {
+            return ctx.reply('❌ Post not found in trash');
+        }
+        await updateStats();
+        
+        console.log(`Post ${postId} restored by ${ctx.from.username}`);
+        return ctx.reply(`♻️ Post restored!\n\n` +
+                 `📝 Caption: ${restored.caption || 'Untitled'}\n` +
+                 `🆔 ID: ${restored.id}`);
+    } catch (error) {
+        console.error('Error restoring post:', error);
+        return ctx.reply('❌ Error restoring post');
+    }
+});
+
+bot.command('cancel', async (ctx) => {
+    if (!can(ctx, 'upload')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    if (ctx.session && ctx.session.editing) {
+        delete ctx.session.editing;
+        return ctx.reply('✖️ Edit cancelled.');
+    }
+    
+    if (!ctx.session || !ctx.session.pendingPost) {
+        return ctx.reply('ℹ️ Nothing to cancel.');
+    }
+    
+    const { caption, media_group_id: groupId } = ctx.session.pendingPost;
+    clearPendingPost(ctx);
+    if (groupId) {
+        await albums.discard(groupId);
+    }
+    return ctx.reply(`🗑️ Pending upload "${caption}" discarded.`);
+});
 
-async function writePosts(posts) {
-    try {
-        await fs.writeFile(POSTS_FILE, JSON.stringify(posts, null, 2));
-        return true;
-    } catch (error) {
-        console.error('Error writing posts:', error);
-        return false;
+// Add or remove tags: /tag <id> <tags...>, /untag <id> <tags...>
+async function changeTags(ctx, command) {
+    if (!can(ctx, 'edit')) {
+        return ctx.reply(deniedMessage(ctx));
     }
-}
-
-async function updateStats() {
+    
+    const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    if (args.length < 2) {
+        return ctx.reply(`Usage: /${command} [post_id] [tags]\nExample: /${command} 123 #beach #summer`);
+    }
+    
+    const postId = parseInt(args[0]);
+    if (isNaN(postId)) {
+        return ctx.reply('❌ Invalid post ID');
+    }
+    
+    const tags = uniqueTags(args.slice(1));
+    if (tags.length === 0) {
+        return ctx.reply('❌ No valid tags given');
+    }
+    
     try {
-        const posts = await readPosts();
-        const stats = {
-            total_posts: posts.length,
-            total_views: posts.reduce((sum, post) => sum + (post.views || 0), 0),
-            last_update: new Date().toISOString()
-        };
+        const updated = await editPost(postId, 'tags', (current = []) => (
+            command === 'tag'
+                ? uniqueTags([...current, ...tags])
+                : current.filter(t => !tags.includes(t))
+        ), auditActor(ctx));
         
-        await fs.writeFile(STATS_FILE, JSON.stringify(stats, null, 2));
-        return stats;
+        if (!updated) {
+            return ctx.reply('❌ Post not found');
+        }
+        
+        return ctx.reply(`✅ Tags updated for post ${postId}\n\n` +
+                 `🏷️ ${updated.tags.length > 0 ? updated.tags.map(t => '#' + t).join(' ') : 'No tags'}`);
     } catch (error) {
-        console.error('Error updating stats:', error);
-        return null;
+        console.error('Error updating tags:', error);
+        return ctx.reply('❌ Error updating tags');
     }
 }
 
-// API Routes
+bot.command('tag', (ctx) => changeTags(ctx, 'tag'));
+bot.command('untag', (ctx) => changeTags(ctx, 'untag'));
 
-// Get all posts with pagination
-app.get('/api/posts', async (req, res) => {
+// Edit a post: /edit <id> caption|description|tags <value>, or /edit <id> for buttons
+bot.command('edit', async (ctx) => {
+    if (!can(ctx, 'edit')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const [idArg, field, ...valueParts] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    if (!idArg) {
+        return ctx.reply('Usage: /edit [post_id] [caption|description|tags] [value]\n' +
+                        'Example: /edit 123 caption New caption\n' +
+                        'Or send /edit [post_id] to pick a field.');
+    }
+    
+    const postId = parseInt(idArg);
+    if (isNaN(postId)) {
+        return ctx.reply('❌ Invalid post ID');
+    }
+    
     try {
-        const { page = 1, limit = 12 } = req.query;
-        const posts = await readPosts();
-        
-        // Sort by date (newest first)
-        const sortedPosts = posts.sort((a, b) => 
-            new Date(b.created_at) - new Date(a.created_at)
-        );
+        const post = await storage.getPost(postId);
+        if (!post || post.deleted_at) {
+            return ctx.reply('❌ Post not found');
+        }
         
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const startIndex = (pageNum - 1) * limitNum;
-        const endIndex = startIndex + limitNum;
+        // No field: show the post with one button per editable field
+        if (!field) {
+            return ctx.reply(`✏️ Editing post ${post.id}\n\n` +
+                            `📝 Caption: ${post.caption || 'Untitled'}\n` +
+                            `📋 Description: ${post.description || 'None'}\n` +
+                            `🏷️ Tags: ${(post.tags || []).map(t => '#' + t).join(' ') || 'None'}\n\n` +
+                            `Choose what to change:`,
+                Markup.inlineKeyboard([
+                    EDITABLE_FIELDS.map(f => Markup.button.callback(f.charAt(0).toUpperCase() + f.slice(1), `edit:${post.id}:${f}`)),
+                    [Markup.button.callback('Cancel', `edit:${post.id}:cancel`)]
+                ]));
+        }
         
-        const paginatedPosts = sortedPosts.slice(startIndex, endIndex);
-        const stats = await updateStats();
+        if (!EDITABLE_FIELDS.includes(field)) {
+            return ctx.reply(`❌ Field must be one of: ${EDITABLE_FIELDS.join(', ')}`);
+        }
+        if (valueParts.length === 0) {
+            return ctx.reply(`❌ Missing new ${field}`);
+        }
         
-        res.json({
-            success: true,
-            posts: paginatedPosts,
-            total: posts.length,
-            page: pageNum,
-            total_pages: Math.ceil(posts.length / limitNum),
-            stats: stats
-        });
+        const value = parseEditValue(field, valueParts.join(' '));
+        await replyWithEdit(ctx, postId, field, value);
     } catch (error) {
-        console.error('Error in /api/posts:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        console.error('Error editing post:', error);
+        return ctx.reply('❌ Error editing post');
     }
 });
 
-// Get latest posts
-app.get('/api/posts/latest', async (req, res) => {
-    try {
-        const posts = await readPosts();
-        const latest = posts
-            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-            .slice(0, 5);
-        
-        res.json({
-            success: true,
-            posts: latest
-        });
-    } catch (error) {
-        console.error('Error in /api/posts/latest:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+// Inline keyboard for /edit: remember the field, the next text message is the value
+bot.action(/^edit:(\d+):(caption|description|tags|cancel)$/, async (ctx) => {
+    if (!can(ctx, 'edit')) {
+        return ctx.answerCbQuery(deniedMessage(ctx));
+    }
+    
+    const postId = parseInt(ctx.match[1]);
+    const field = ctx.match[2];
+    await ctx.answerCbQuery();
+    
+    ctx.session = ctx.session || {};
+    if (field === 'cancel') {
+        delete ctx.session.editing;
+        return ctx.editMessageText('✖️ Edit cancelled.');
     }
+    
+    ctx.session.editing = { postId, field };
+    const hint = {
+        caption: 'Send the new caption:',
+        description: 'Send the new description (or "-" to clear it):',
+        tags: 'Send the new tags, e.g. #beach #summer:'
+    }[field];
+    return ctx.reply(`✏️ ${hint}\n/cancel to stop editing.`);
 });
 
-// Increment view count
-app.post('/api/posts/:id/view', async (req, res) => {
+async function replyWithEdit(ctx, postId, field, value) {
+    const updated = await editPost(postId, field, () => value, auditActor(ctx));
+    if (!updated) {
+        return ctx.reply('❌ Post not found');
+    }
+    
+    const shown = field === 'tags'
+        ? (updated.tags.map(t => '#' + t).join(' ') || 'None')
+        : (updated[field] || 'None');
+    return ctx.reply(`✅ ${field.charAt(0).toUpperCase() + field.slice(1)} updated for post ${postId}\n\n${shown}`);
+}
+
+// Collections: /collection create <name> [| description], add|remove <slug> <ids...>, list
+bot.command('collection', async (ctx) => {
+    if (!can(ctx, 'edit')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const [action, ...args] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const usage = 'Usage:\n' +
+        '/collection create [name] | [description]\n' +
+        '/collection add [slug] [post_ids]\n' +
+        '/collection remove [slug] [post_ids]\n' +
+        '/collection list';
+    
     try {
-        const postId = parseInt(req.params.id);
-        const posts = await readPosts();
+        if (action === 'list') {
+            const collections = await readCollections();
+            if (collections.length === 0) {
+                return ctx.reply('📭 No collections yet.');
+            }
+            
+            let message = '📚 Collections:\n\n';
+            collections.forEach(c => {
+                message += `• ${c.title} (${c.slug}) - ${c.post_ids.length} posts\n`;
+            });
+            return ctx.reply(message);
+        }
         
-        const postIndex = posts.findIndex(p => p.id === postId);
-        if (postIndex !== -1) {
-            posts[postIndex].views = (posts[postIndex].views || 0) + 1;
-            await writePosts(posts);
-            await updateStats();
+        if (action === 'create') {
+            const [name, ...descriptionParts] = args.join(' ').split('|');
+            const title = (name || '').trim();
+            const slug = slugify(title);
+            if (!slug) {
+                return ctx.reply(usage);
+            }
+            
+            let created = false;
+            await updateCollections(collections => {
+                if (collections.some(c => c.slug === slug)) return;
+                collections.push({
+                    slug,
+                    title,
+                    description: descriptionParts.join('|').trim(),
+                    created_at: new Date().toISOString(),
+                    post_ids: []
+                });
+                created = true;
+            });
+            
+            if (!created) {
+                return ctx.reply(`❌ Collection "${slug}" already exists`);
+            }
+            return ctx.reply(`✅ Collection created!\n\n📚 ${title}\n🔗 Slug: ${slug}\n\n` +
+                            `Add posts with /collection add ${slug} [post_ids]`);
         }
         
-        res.json({ success: true });
+        if (action === 'add' || action === 'remove') {
+            const [slug, ...idArgs] = args;
+            const postIds = idArgs.map(id => parseInt(id)).filter(id => !isNaN(id));
+            if (!slug || postIds.length === 0) {
+                return ctx.reply(usage);
+            }
+            
+            if (action === 'add') {
+                const posts = await readPosts();
+                const missing = postIds.filter(id => !posts.some(p => p.id === id));
+                if (missing.length > 0) {
+                    return ctx.reply(`❌ Post not found: ${missing.join(', ')}`);
+                }
+            }
+            
+            const count = await changeCollectionPosts(slug, postIds, action, auditActor(ctx));
+            if (count === null) {
+                return ctx.reply(`❌ Collection "${slug}" not found`);
+            }
+            return ctx.reply(`✅ ${action === 'add' ? 'Added to' : 'Removed from'} ${slug}\n📊 Posts in collection: ${count}`);
+        }
+        
+        return ctx.reply(usage);
     } catch (error) {
-        console.error('Error in view count:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        console.error('Error managing collections:', error);
+        return ctx.reply('❌ Error managing collections');
     }
 });
 
-// Get statistics
-app.get('/api/stats', async (req, res) => {
-    try {
-        const stats = await updateStats();
-        res.json({ success: true, stats });
-    } catch (error) {
-        console.error('Error in /api/stats:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+// Re-fetch media for posts saved with expiring Telegram links or whose file went missing,
+// and create thumbnails for posts saved before variants existed
+bot.command('repair', async (ctx) => {
+    if (!can(ctx, 'edit')) {
+        return ctx.reply(deniedMessage(ctx));
     }
-});
-
-// Telegram Bot Webhook
-app.post('/webhook', async (req, res) => {
+    
+    const args = ctx.message.text.split(' ').slice(1);
+    const postId = args.length > 0 ? parseInt(args[0]) : null;
+    if (args.length > 0 && isNaN(postId)) {
+        return ctx.reply('❌ Invalid post ID');
+    }
+    
     try {
-        await bot.handleUpdate(req.body);
-        res.json({ success: true });
+        const posts = await readPosts();
+        const targets = postId
+            ? posts.filter(p => p.id === postId)
+            : posts;
+        
+        if (postId && targets.length === 0) {
+            return ctx.reply('❌ Post not found');
+        }
+        
+        let repaired = 0;
+        let failed = 0;
+        
+        for (const post of targets) {
+            // Albums keep their items in `media`; single posts are their own item
+            const items = post.media || [post];
+            let changed = false;
+            
+            for (const item of items) {
+                const stored = item.media_id && await mediaStore.exists(item.media_id);
+                if (stored && await hasVariants(item)) continue;
+                if (!stored && !item.telegram_file_id) {
+                    failed++;
+                    continue;
+                }
+                
+                // Downloads missing media and (re)creates missing variants
+                try {
+                    Object.assign(item, await storeMediaItem(item));
+                    changed = true;
+                    repaired++;
+                } catch (error) {
+                    console.error(`Error repairing post ${post.id}:`, error);
+                    failed++;
+                }
+            }
+            
+            if (!changed) continue;
+            
+            await storage.updatePost(post.id, p => {
+                const first = items[0];
+                p.media_id = first.media_id;
+                p.media_url = first.media_url;
+                p.thumbnail = first.thumbnail;
+                p.variants = first.variants;
+                if (p.media) {
+                    p.media = items;
+                }
+            });
+            postIndex.invalidate();
+        }
+        
+        return ctx.reply(`🔧 Repair finished\n\n` +
+                 `✅ Repaired: ${repaired}\n` +
+                 `❌ Failed: ${failed}`);
     } catch (error) {
-        console.error('Webhook error:', error);
-        res.status(500).json({ success: false, error: error.message });
+        console.error('Error repairing media:', error);
+        return ctx.reply('❌ Error repairing media');
     }
 });
 
-// Telegram Bot Setup
+// Bots may send files up to 50 MB and download files up to 20 MB
+const TELEGRAM_SEND_LIMIT = 50 * 1024 * 1024;
+const TELEGRAM_DOWNLOAD_LIMIT = 20 * 1024 * 1024;
 
-// Check if user is admin
-function isAdmin(ctx) {
-    const username = ctx.from.username;
-    if (!username) return false;
+function formatImportReport(report) {
+    const conflicts = report.conflicts
+        .slice(0, 10)
+        .map(c => `   • ${c.id}: ${c.reason}`)
+        .join('\n');
     
-    return ADMIN_USERNAMES.includes(username.toLowerCase());
+    return `📥 Import finished\n\n` +
+           `➕ Added: ${report.added.length}\n` +
+           `🔄 Updated: ${report.updated.length}\n` +
+           `⏸️ Unchanged: ${report.unchanged}\n` +
+           `🖼️ Media files added: ${report.media_added}\n` +
+           `📚 Collections added/merged: ${report.collections_added}/${report.collections_merged}\n` +
+           `⚠️ Conflicts: ${report.conflicts.length}` +
+           (conflicts ? `\n${conflicts}` : '') +
+           (report.conflicts.length > 10 ? `\n   … and ${report.conflicts.length - 10} more` : '') +
+           (report.invalid_media.length > 0 ? `\n❌ Invalid media files skipped: ${report.invalid_media.length}` : '');
 }
 
-bot.start((ctx) => {
-    if (!isAdmin(ctx)) {
-        return ctx.reply('⛔ Access Denied\n\nThis bot is for admin use only.');
+// Download every post, collection and media file as one zip
+bot.command('export', async (ctx) => {
+    if (!can(ctx, 'backup')) {
+        return ctx.reply(deniedMessage(ctx));
     }
     
-    ctx.reply(`🔐 Welcome Admin!\n\n📤 Upload photos/videos to the public website:\n\n1. Send a photo or video\n2. Add caption starting with /upload\n\nExample:\n<code>/upload This is an amazing photo</code>\n\n🌐 Website: ${process.env.WEBSITE_URL || 'https://your-site.com'}`, 
-    { parse_mode: 'HTML' });
+    try {
+        await ctx.reply('📦 Building the export...');
+        // Leave room for the zip's own headers
+        const result = await exportCollection(auditActor(ctx), { maxBytes: TELEGRAM_SEND_LIMIT - 1024 * 1024 });
+        const size = (result.bytes / 1024 / 1024).toFixed(1);
+        
+        await ctx.replyWithDocument(
+            { source: result.stream, filename: archiveFilename() },
+            {
+                caption: `📦 ${result.posts} posts, ${result.media} media files (${size} MB)` +
+                         (result.missing.length > 0 ? `\n⚠️ ${result.missing.length} media files were missing and are not included` : '') +
+                         `\n\nSend it back with /import as caption to merge it into a site.`
+            }
+        );
+    } catch (error) {
+        if (error.code === 'EXPORT_TOO_LARGE') {
+            return ctx.reply(`📦 The export is ${(error.bytes / 1024 / 1024).toFixed(1)} MB, too big to send here (50 MB max).\n\n` +
+                             `Download it with your /token instead:\n` +
+                             `GET ${process.env.WEBSITE_URL || ''}/api/admin/export`);
+        }
+        console.error('Error exporting collection:', error);
+        return ctx.reply('❌ Error building the export');
+    }
 });
 
-bot.help((ctx) => {
-    if (!isAdmin(ctx)) {
-        return ctx.reply('⛔ This bot is for admin use only.');
+bot.command('import', (ctx) => {
+    if (!can(ctx, 'backup')) {
+        return ctx.reply(deniedMessage(ctx));
     }
     
-    ctx.reply(`🤖 Admin Commands:\n\n` +
-             `/start - Start the bot\n` +
-             `/upload [caption] - Upload photo/video with caption\n` +
-             `/stats - Get website statistics\n` +
-             `/list - List all posts\n` +
-             `/delete [id] - Delete a post\n\n` +
-             `💡 How to upload:\n` +
-             `1. Take a photo or video\n` +
-             `2. Add caption: <code>/upload Your caption here</code>\n` +
-             `3. Add description (optional)\n` +
-             `4. Send it!`, 
-    { parse_mode: 'HTML' });
+    return ctx.reply(`📥 To import, send an export .zip as a file with /import as its caption.\n\n` +
+              `Posts are merged by ID: new ones are added, the newer version of a post wins, ` +
+              `and a different post under an existing ID is reported as a conflict.\n\n` +
+              `Telegram only lets bots download files up to 20 MB; upload bigger archives to ` +
+              `POST ${process.env.WEBSITE_URL || ''}/api/admin/import with your /token.`);
 });
 
-bot.command('stats', async (ctx) => {
-    if (!isAdmin(ctx)) {
-        return ctx.reply('⛔ Admin only command.');
+function formatBackupSize(bytes) {
+    return bytes < 1024 * 1024
+        ? `${(bytes / 1024).toFixed(1)} KB`
+        : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// /backups lists the data backups, /backups now takes one
+bot.command('backups', async (ctx) => {
+    if (!can(ctx, 'backup')) {
+        return ctx.reply(deniedMessage(ctx));
     }
     
     try {
-        const stats = await updateStats();
-        const posts = await readPosts();
+        const action = ctx.message.text.split(' ')[1];
+        if (action === 'now') {
+            const backup = await createBackup(auditActor(ctx));
+            return ctx.reply(`💾 Backup created: <code>${backup.name}</code>\n` +
+                             `📄 ${backup.files} files, ${formatBackupSize(backup.size)}\n` +
+                             `🔐 SHA-256: <code>${backup.sha256}</code>`,
+                             { parse_mode: 'HTML' });
+        }
         
-        const totalImages = posts.filter(p => p.type === 'image').length;
-        const totalVideos = posts.filter(p => p.type === 'video').length;
+        const list = await backups.list();
+        const schedule = BACKUP_INTERVAL_HOURS > 0
+            ? `⏰ Every ${BACKUP_INTERVAL_HOURS} h, keeping the newest ${BACKUP_RETENTION}`
+            : `⏰ Scheduled backups are off (BACKUP_INTERVAL_HOURS=0), keeping the newest ${BACKUP_RETENTION}`;
         
-        ctx.reply(`📊 Website Statistics:\n\n` +
-                 `📝 Total Posts: ${stats.total_posts}\n` +
-                 `👁️ Total Views: ${stats.total_views}\n` +
-                 `🖼️ Images: ${totalImages}\n` +
-                 `🎥 Videos: ${totalVideos}\n` +
-                 `🕒 Last Update: ${new Date(stats.last_update).toLocaleString()}\n\n` +
-                 `👤 Admin: ${ctx.from.username}`);
+        if (list.length === 0) {
+            return ctx.reply(`💾 No backups yet.\n${schedule}\n\nTake one now with /backups now`);
+        }
+        
+        let message = `💾 Backups (${list.length}):\n${schedule}\n\n`;
+        list.forEach(backup => {
+            message += `<code>${backup.name}</code>\n` +
+                       `   🕒 ${new Date(backup.created_at).toLocaleString()} · ${formatBackupSize(backup.size)}\n`;
+        });
+        message += `\nRestore one with /restore_backup [name]`;
+        
+        return ctx.reply(message, { parse_mode: 'HTML' });
     } catch (error) {
-        console.error('Error getting stats:', error);
-        ctx.reply('❌ Error getting statistics');
+        console.error('Error listing backups:', error);
+        return ctx.reply('❌ Error listing backups');
     }
 });
 
-bot.command('list', async (ctx) => {
-    if (!isAdmin(ctx)) {
-        return ctx.reply('⛔ Admin only command.');
+bot.command('restore_backup', async (ctx) => {
+    if (!can(ctx, 'backup')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const name = (ctx.message.text.split(' ')[1] || '').replace(BACKUP_EXTENSION, '');
+    if (!name) {
+        return ctx.reply('Usage: /restore_backup [name]\nSee /backups for the names');
     }
     
     try {
-        const posts = await readPosts();
-        const latest = posts.slice(0, 10);
-        
-        if (latest.length === 0) {
-            return ctx.reply('📭 No posts yet. Start uploading!');
-        }
-        
-        let message = '📋 Latest 10 Posts:\n\n';
-        latest.forEach((post, index) => {
-            const date = new Date(post.created_at);
-            const timeAgo = formatTimeAgo(date);
-            message += `${index + 1}. ${post.caption || 'Untitled'}\n`;
-            message += `   👁️ ${post.views || 0} views | ${timeAgo}\n`;
-            message += `   🆔 ID: ${post.id}\n\n`;
-        });
+        const backup = await backups.verify(name);
+        const files = backup.files.map(file => `   • ${file.name} (${formatBackupSize(file.size)})`).join('\n');
         
-        message += `📊 Total: ${posts.length} posts`;
-        ctx.reply(message);
+        return ctx.reply(`⏪ Restore this backup?\n\n` +
+                  `💾 ${backup.name}\n` +
+                  `🕒 ${new Date(backup.created_at).toLocaleString()}\n` +
+                  `🔐 Checksums verified\n` +
+                  `📄 Files:\n${files}\n\n` +
+                  `Posts, stats and sessions are replaced with this copy; ` +
+                  `admins, API tokens and the audit log are kept as they are. The current data is backed up first.`,
+            Markup.inlineKeyboard([
+                Markup.button.callback('⏪ Restore', `backup:restore:${backup.name}`),
+                Markup.button.callback('Cancel', 'backup:cancel')
+            ]));
     } catch (error) {
-        console.error('Error listing posts:', error);
-        ctx.reply('❌ Error listing posts');
+        if (error.code === 'INVALID_BACKUP') {
+            return ctx.reply(`❌ Can't restore: ${error.message}`);
+        }
+        console.error('Error checking backup:', error);
+        return ctx.reply('❌ Error checking the backup');
     }
 });
 
-bot.command('delete', async (ctx) => {
-    if (!isAdmin(ctx)) {
-        return ctx.reply('⛔ Admin only command.');
+// Confirmation buttons for /restore_backup
+bot.action(/^backup:(?:restore:(.+)|cancel)$/, async (ctx) => {
+    if (!can(ctx, 'backup')) {
+        return ctx.answerCbQuery(deniedMessage(ctx));
     }
     
-    const args = ctx.message.text.split(' ').slice(1);
-    if (args.length === 0) {
-        return ctx.reply('Usage: /delete [post_id]\nExample: /delete 123');
-    }
+    await ctx.answerCbQuery();
     
-    const postId = parseInt(args[0]);
-    if (isNaN(postId)) {
-        return ctx.reply('❌ Invalid post ID');
+    const name = ctx.match[1];
+    if (!name) {
+        return ctx.editMessageText('✖️ Restore cancelled.');
     }
     
     try {
-        const posts = await readPosts();
-        const postIndex = posts.findIndex(p => p.id === postId);
-        
-        if (postIndex === -1) {
-            return ctx.reply('❌ Post not found');
-        }
-        
-        const deletedPost = posts.splice(postIndex, 1)[0];
-        await writePosts(posts);
-        await updateStats();
-        
-        ctx.reply(`✅ Post deleted successfully!\n\n` +
-                 `📝 Caption: ${deletedPost.caption || 'Untitled'}\n` +
-                 `🆔 ID: ${deletedPost.id}\n` +
-                 `📊 Remaining posts: ${posts.length}`);
+        await ctx.editMessageText(`⏪ Restoring ${name}...`);
+        const result = await restoreBackup(name, auditActor(ctx));
         
-        console.log(`Post ${postId} deleted by ${ctx.from.username}`);
+        console.log(`Backup ${name} restored by ${ctx.from.username}`);
+        return ctx.editMessageText(`✅ Restored ${result.name}\n\n` +
+                            `📄 ${result.files.length} files restored\n` +
+                            `💾 The data from before is in ${result.safety}`);
     } catch (error) {
-        console.error('Error deleting post:', error);
-        ctx.reply('❌ Error deleting post');
+        if (error.code === 'INVALID_BACKUP') {
+            return ctx.editMessageText(`❌ Can't restore: ${error.message}`);
+        }
+        console.error('Error restoring backup:', error);
+        return ctx.reply('❌ Error restoring the backup');
     }
 });
 
-// Handle photo upload
-bot.on('photo', async (ctx) => {
-    if (!isAdmin(ctx)) {
-        return ctx.reply('⛔ Admin only. You are not authorized to upload.');
+// An export sent back with /import as caption. Other documents go on to the
+// media upload handler below.
+bot.on('document', async (ctx, next) => {
+    const caption = ctx.message.caption || '';
+    if (caption.split(' ')[0] !== '/import') {
+        return next();
+    }
+    if (!can(ctx, 'backup')) {
+        return ctx.reply(deniedMessage(ctx));
+    }
+    
+    const document = ctx.message.document;
+    if (document.file_size > TELEGRAM_DOWNLOAD_LIMIT) {
+        return ctx.reply(`❌ This archive is too big for the bot to download (20 MB max).\n` +
+                         `Upload it to POST ${process.env.WEBSITE_URL || ''}/api/admin/import with your /token instead.`);
     }
     
+    const tmpFile = path.join(os.tmpdir(), `import-${process.pid}-${crypto.randomBytes(8).toString('hex')}.zip`);
     try {
-        const caption = ctx.message.caption || '';
-        const command = caption.split(' ')[0];
-        
-        if (command !== '/upload') {
-            return ctx.reply('📤 Please use /upload command with your caption\nExample: /upload This is an amazing photo');
+        await ctx.reply('📥 Importing...');
+        const link = await bot.telegram.getFileLink(document.file_id);
+        const response = await fetch(link.href);
+        if (!response.ok) {
+            throw new Error(`Download failed with HTTP ${response.status}`);
         }
+        await pipeline(Readable.fromWeb(response.body), fsSync.createWriteStream(tmpFile));
         
-        const [_, ...captionParts] = caption.split(' ');
-        const actualCaption = captionParts.join(' ').trim() || 'Untitled Post';
-        
-        // Get the highest quality photo
-        const photo = ctx.message.photo.pop();
-        
-        // Get file URL from Telegram
-        const file = await ctx.telegram.getFileLink(photo.file_id);
-        const fileUrl = file.href;
-        
-        // Create new post
-        const posts = await readPosts();
-        const newPost = {
-            id: Date.now(),
-            type: 'image',
-            media_url: fileUrl,
-            thumbnail: fileUrl, // Same URL for images
-            caption: actualCaption,
-            description: '', // Will be set from description message if provided
-            author: ctx.from.username || ctx.from.first_name || 'Admin',
-            created_at: new Date().toISOString(),
-            views: 0,
-            telegram_file_id: photo.file_id,
-            width: photo.width,
-            height: photo.height,
-            file_size: photo.file_size
-        };
-        
-        // Ask for description
-        ctx.reply('✅ Photo received! Please send a description for this post (or send "skip" to skip):');
-        
-        // Store temporary data for description
-        ctx.session = ctx.session || {};
-        ctx.session.pendingPost = newPost;
-        ctx.session.waitingForDescription = true;
-        
+        const report = await importCollection(tmpFile, auditActor(ctx));
+        return ctx.reply(formatImportReport(report));
     } catch (error) {
-        console.error('Error handling photo:', error);
-        ctx.reply('❌ Error processing photo. Please try again.');
+        if (error.code === 'INVALID_ARCHIVE') {
+            return ctx.reply(`❌ Can't import: ${error.message}`);
+        }
+        console.error('Error importing collection:', error);
+        return ctx.reply('❌ Error importing the archive');
+    } finally {
+        fs.rm(tmpFile, { force: true }).catch(() => {});
     }
 });
 
-// Handle video upload
-bot.on('video', async (ctx) => {
-    if (!isAdmin(ctx)) {
-        return ctx.reply('⛔ Admin only. You are not authorized to upload.');
+// Handle media uploads: photos, videos, GIF animations, audio and voice
+// messages, and files sent as documents. Album items (media groups) arrive as
+// separate messages, often at once, and only one carries the /upload caption,
+// so they are gathered in the album buffer until the description arrives.
+bot.on(['photo', 'video', 'animation', 'audio', 'voice', 'document'], async (ctx) => {
+    if (!can(ctx, 'upload')) {
+        return ctx.reply(ctx.state.admin
+            ? deniedMessage(ctx)
+            : '⛔ Admin only. You are not authorized to upload.');
     }
     
     try {
-        const caption = ctx.message.caption || '';
-        const command = caption.split(' ')[0];
+        const message = ctx.message;
+        const item = mediaItemFromMessage(message);
+        const groupId = message.media_group_id || null;
         
-        if (command !== '/upload') {
-            return ctx.reply('📤 Please use /upload command with your caption\nExample: /upload This is an awesome video');
+        const rejection = uploadPolicy.rejection({ mimeType: item.mime_type, size: item.file_size });
+        if (rejection) {
+            const name = item.file_name ? ` "${item.file_name}"` : '';
+            return ctx.reply(`❌ Can't upload${name}: ${rejection}.`);
         }
+        const caption = message.caption || '';
+        const command = caption.split(' ')[0];
         
-        const [_, ...captionParts] = caption.split(' ');
-        const actualCaption = captionParts.join(' ').trim() || 'Untitled Video';
+        // Every album item, captioned or not, waits in the buffer
+        if (groupId) {
+            await albums.add(groupId, item);
+        }
         
-        const video = ctx.message.video;
+        // "/draft" saves the post without publishing it
+        if (command !== '/upload' && command !== '/draft') {
+            if (!groupId) {
+                return ctx.reply(`📤 Please use /upload command with your caption\nExample: /upload This is an amazing ${MEDIA_LABELS[item.type].toLowerCase()}`);
+            }
+            return;
+        }
         
-        // Get file URL from Telegram
-        const file = await ctx.telegram.getFileLink(video.file_id);
-        const fileUrl = file.href;
+        // Hashtags in the caption become the post's tags
+        const [_, ...captionParts] = caption.split(' ');
+        const { caption: captionText, tags } = parseHashtags(captionParts.join(' '));
+        const actualCaption = captionText || untitledCaption(item.type);
         
-        // Create new post
-        const posts = await readPosts();
-        const newPost = {
-            id: Date.now(),
-            type: 'video',
-            media_url: fileUrl,
-            thumbnail: '', // Telegram doesn't provide video thumbnails
+        // Media is downloaded when the post is saved; album items are taken
+        // from the buffer then
+        ctx.session = ctx.session || {};
+        ctx.session.pendingPost = {
             caption: actualCaption,
-            description: '',
+            tags,
             author: ctx.from.username || ctx.from.first_name || 'Admin',
             created_at: new Date().toISOString(),
-            views: 0,
-            telegram_file_id: video.file_id,
-            duration: video.duration,
-            width: video.width,
-            height: video.height,
-            file_size: video.file_size
+            media_group_id: groupId,
+            status: command === '/draft' ? 'draft' : 'published',
+            items: groupId ? [] : [item]
         };
+        ctx.session.waitingForDescription = true;
         
         // Ask for description
-        ctx.reply('✅ Video received! Please send a description for this post (or send "skip" to skip):');
-        
-        // Store temporary data
-        ctx.session = ctx.session || {};
-        ctx.session.pendingPost = newPost;
-        ctx.session.waitingForDescription = true;
+        const received = groupId ? 'Album' : MEDIA_LABELS[item.type];
+        return ctx.reply(`✅ ${received} received! Please send a description for this post (or send "skip" to skip, /cancel to discard):`);
         
     } catch (error) {
-        console.error('Error handling video:', error);
-        ctx.reply('❌ Error processing video. Please try again.');
+        console.error('Error handling media:', error);
+        return ctx.reply('❌ Error processing media. Please try again.');
     }
 });
 
 // Handle text messages (for descriptions)
 bot.on('text', async (ctx) => {
-    if (!ctx.session || !ctx.session.waitingForDescription) {
-        // Check if it's a regular command
-        const text = ctx.message.text;
-        if (text.startsWith('/')) {
-            return; // Let other command handlers deal with it
+    // A field picked from the /edit buttons
+    if (ctx.session && ctx.session.editing && !ctx.message.text.startsWith('/') && can(ctx, 'edit')) {
+        const { postId, field } = ctx.session.editing;
+        delete ctx.session.editing;
+        
+        try {
+            await replyWithEdit(ctx, postId, field, parseEditValue(field, ctx.message.text));
+        } catch (error) {
+            console.error('Error editing post:', error);
+            return ctx.reply('❌ Error editing post');
         }
         return;
     }
     
+    if (!ctx.session || !ctx.session.waitingForDescription || !can(ctx, 'upload')) {
+        return;
+    }
+    
+    // Unknown commands are not descriptions; known ones were handled above
+    if (ctx.message.text.startsWith('/')) {
+        return ctx.reply('✍️ Waiting for a description. Send text, "skip", or /cancel.');
+    }
+    
     try {
         const description = ctx.message.text.trim();
         
-        if (description.toLowerCase() === 'skip') {
-            ctx.session.pendingPost.description = '';
-        } else {
-            ctx.session.pendingPost.description = description;
-        }
-        
-        // Save the post
-        const posts = await readPosts();
-        posts.unshift(ctx.session.pendingPost); // Add to beginning
-        await writePosts(posts);
+        // Download the media and save the post
+        const post = await createPost(
+            await withAlbumItems(ctx.session.pendingPost),
+            description.toLowerCase() === 'skip' ? '' : description,
+            auditActor(ctx)
+        );
         await updateStats();
         
         // Clear session
-        ctx.session.pendingPost = null;
-        ctx.session.waitingForDescription = false;
+        clearPendingPost(ctx);
+        
+        const postType = post.media
+            ? `album (${post.media.length} items)`
+            : MEDIA_LABELS[post.type];
         
-        const post = ctx.session.pendingPost;
-        const postType = post.type === 'video' ? 'video' : 'photo';
+        if (post.status === 'draft') {
+            console.log(`New ${postType} draft saved by ${post.author}: ${post.caption}`);
+            return ctx.reply(`📝 Draft saved!\n\n` +
+                     `📝 Caption: ${post.caption}\n` +
+                     `🆔 ID: ${post.id}\n\n` +
+                     `Publish now with /publish ${post.id}\n` +
+                     `or later with /schedule ${post.id} [time]`);
+        }
         
-        ctx.reply(`✅ ${postType.charAt(0).toUpperCase() + postType.slice(1)} uploaded successfully!\n\n` +
+        console.log(`New ${postType} uploaded by ${post.author}: ${post.caption}`);
+        return ctx.reply(`✅ ${postType.charAt(0).toUpperCase() + postType.slice(1)} uploaded successfully!\n\n` +
                  `📝 Caption: ${post.caption}\n` +
                  `📋 Description: ${post.description || 'None'}\n` +
+                 `🏷️ Tags: ${post.tags.length > 0 ? post.tags.map(t => '#' + t).join(' ') : 'None'}\n` +
                  `👤 By: ${post.author}\n` +
                  `🆔 ID: ${post.id}\n\n` +
                  `🌐 View on website: ${process.env.WEBSITE_URL || ''}\n` +
-                 `Direct link: ${process.env.WEBSITE_URL || ''}/?post=${post.id}`);
-        
-        console.log(`New ${postType} uploaded by ${post.author}: ${post.caption}`);
-        
+                 `Direct link: ${process.env.WEBSITE_URL || ''}/p/${post.id}`);
     } catch (error) {
         console.error('Error saving post:', error);
-        ctx.reply('❌ Error saving post. Please try again.');
         
         // Clear session on error
-        ctx.session.pendingPost = null;
-        ctx.session.waitingForDescription = false;
+        clearPendingPost(ctx);
+        return ctx.reply('❌ Error saving post. Please try again.');
     }
 });
 
@@ -519,13 +3297,31 @@ app.get('*', (req, res) => {
 // Initialize and start server
 async function startServer() {
     await initializeData();
+    await initializeAdmins();
+    await warnWithoutOwner();
+    setInterval(expireSessions, 60 * 1000);
+    purgeTrash();
+    setInterval(purgeTrash, 60 * 60 * 1000);
+    publishDuePosts();
+    setInterval(publishDuePosts, 30 * 1000);
+    viewCounter.start();
+    analytics.start();
+    eventHub.start();
+    if (BACKUP_INTERVAL_HOURS > 0) {
+        backupIfDue();
+        setInterval(backupIfDue, 15 * 60 * 1000);
+    }
+    if (WEEKLY_SUMMARY) {
+        sendWeeklySummary();
+        setInterval(sendWeeklySummary, 15 * 60 * 1000);
+    }
     
     if (process.env.NODE_ENV === 'production') {
         // Production: Use webhook
         const WEBHOOK_URL = process.env.WEBHOOK_URL || 
                            `https://${process.env.RAILWAY_STATIC_URL || 'your-domain.com'}/webhook`;
         
-        bot.telegram.setWebhook(WEBHOOK_URL)
+        bot.telegram.setWebhook(WEBHOOK_URL, { secret_token: WEBHOOK_SECRET })
             .then(() => console.log(`🌐 Webhook set to: ${WEBHOOK_URL}`))
             .catch(err => console.error('Webhook error:', err));
     } else {
@@ -534,16 +3330,57 @@ async function startServer() {
         console.log('🤖 Telegram bot started in development mode');
     }
     
-    app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
         console.log(`🚀 Server running on port ${PORT}`);
         console.log(`🌐 Website: http://localhost:${PORT}`);
         console.log(`🤖 Bot Token: ${BOT_TOKEN.substring(0, 10)}...`);
-        console.log(`👑 Admin usernames: ${ADMIN_USERNAMES.join(', ')}`);
+        console.log(`👑 Owner IDs: ${OWNER_IDS.join(', ') || 'none'}`);
     });
 }
 
-// Graceful shutdown
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+// Without a stored admin the bot has no owner yet. Say how one gets created,
+// loudly when it is by username.
+async function warnWithoutOwner() {
+    const admins = await readAdmins();
+    if (admins.length > 0) return;
+    
+    if (ADMIN_USERNAMES.length > 0) {
+        console.warn(`⚠️ WARNING: no admin is stored. The first Telegram user named ` +
+                     `${ADMIN_USERNAMES.map(u => `@${u}`).join(', ')} to message the bot becomes owner. ` +
+                     `Set OWNER_IDS instead and remove ADMIN_USERNAMES.`);
+    } else {
+        console.warn('⚠️ No admin is stored and OWNER_IDS is empty: nobody can manage the bot. ' +
+                     'Set OWNER_IDS to your numeric Telegram user ID (see /myid).');
+    }
+}
+
+// Graceful shutdown: stop taking requests, then write buffered views
+let server = null;
+
+async function shutdown(signal) {
+    try {
+        bot.stop(signal);
+    } catch {
+        // Not polling (webhook mode)
+    }
+    
+    if (server) {
+        eventHub.stop();
+        server.close();
+    }
+    
+    try {
+        await viewCounter.stop();
+        await analytics.stop();
+        await storage.close();
+    } catch (error) {
+        console.error('Error during shutdown:', error);
+    }
+    
+    process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
 
 startServer().catch(console.error);
\ No newline at end of file
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStorage } = require('../lib/storage/json');
+const { createAlbumBuffer } = require('../lib/albums');
+const { sequentialSession } = require('../lib/sessions');
+
+function photo(messageId, caption) {
+    return { type: 'image', telegram_file_id: `p${messageId}`, message_id: messageId, caption };
+}
+
+async function withStorage(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'albums-test-'));
+    const storage = createJsonStorage(dir);
+    try {
+        await storage.init();
+        await fn(storage);
+    } finally {
+        await storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('album items added concurrently are all kept, in message order', () => withStorage(async storage => {
+    const albums = createAlbumBuffer(storage);
+
+    // Caption on the middle item, delivered together as Telegram does
+    await Promise.all([
+        albums.add('G1', photo(502)),
+        albums.add('G1', photo(501, '/upload Album')),
+        albums.add('G1', photo(500)),
+        albums.add('G2', photo(600))
+    ]);
+
+    const items = await albums.take('G1');
+    assert.deepStrictEqual(items.map(i => i.message_id), [500, 501, 502]);
+    assert.deepStrictEqual(await albums.take('G1'), []);
+    assert.strictEqual((await albums.take('G2')).length, 1);
+}));
+
+test('an update delivered twice is added once', () => withStorage(async storage => {
+    const albums = createAlbumBuffer(storage);
+    await Promise.all([albums.add('G1', photo(500)), albums.add('G1', photo(500))]);
+    assert.strictEqual((await albums.take('G1')).length, 1);
+}));
+
+test('sweep drops groups older than the TTL', () => withStorage(async storage => {
+    const albums = createAlbumBuffer(storage, { ttl: 1000 });
+    const addedAt = Date.now();
+    await albums.add('G1', photo(500));
+    assert.deepStrictEqual(await albums.sweep(addedAt + 999), []);
+    assert.deepStrictEqual(await albums.sweep(Date.now() + 1000), ['G1']);
+    assert.deepStrictEqual(await albums.take('G1'), []);
+}));
+
+test('concurrent updates of one chat see each other\'s session changes', async () => {
+    // Slow writes: an update that starts while the one before it is still
+    // writing its session back would read the old session
+    const saved = new Map();
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const store = {
+        async get(key) { return structuredClone(saved.get(key)); },
+        async set(key, value) { await delay(20); saved.set(key, structuredClone(value)); },
+        async delete(key) { await delay(20); saved.delete(key); }
+    };
+    const middleware = sequentialSession(store);
+
+    await Promise.all([500, 501, 502].map(async (messageId, i) => {
+        await delay(i * 8);
+        const ctx = { update: { update_id: messageId }, from: { id: 42 }, chat: { id: 42 } };
+        return middleware(ctx, async () => {
+            ctx.session = ctx.session || { seen: [] };
+            await delay(5);
+            ctx.session.seen.push(messageId);
+        });
+    }));
+
+    assert.deepStrictEqual(saved.get('42:42').seen.sort(), [500, 501, 502]);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const yazl = require('yazl');
+const { createJsonStorage } = require('../lib/storage/json');
+const { createMediaStore } = require('../lib/media');
+const { createArchiver } = require('../lib/archive');
+
+function writeZip(filePath, manifest, media) {
+    return new Promise((resolve, reject) => {
+        const zip = new yazl.ZipFile();
+        zip.addBuffer(Buffer.from(JSON.stringify(manifest)), 'manifest.json');
+        for (const [id, data] of Object.entries(media)) zip.addBuffer(data, `media/${id}`);
+        zip.end();
+        zip.outputStream.pipe(fs.createWriteStream(filePath)).on('close', resolve).on('error', reject);
+    });
+}
+
+test('imported posts keep only known fields and media URLs rebuilt from ids', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+    const storage = createJsonStorage(dir);
+    const mediaStore = createMediaStore(path.join(dir, 'media'));
+    const archiver = createArchiver({ storage, mediaStore });
+
+    try {
+        await storage.init();
+        const data = Buffer.from('image data');
+        const id = `${crypto.createHash('sha256').update(data).digest('hex')}.jpg`;
+        const zipFile = path.join(dir, 'import.zip');
+        await writeZip(zipFile, {
+            format: 'my-collection-xix',
+            version: 1,
+            posts: [
+                {
+                    id: 1,
+                    type: 'image',
+                    media_id: id,
+                    media_url: 'javascript:alert(1)',
+                    thumbnail: '"><img src=x onerror=alert(1)>',
+                    variants: {
+                        thumb: { url: `/media/${id}`, width: 320, height: 200 },
+                        medium: { url: 'https://evil.example/x.jpg" onload="alert(1)' }
+                    },
+                    caption: 'Hello',
+                    tags: ['Beach', { evil: true }],
+                    status: 'published',
+                    created_at: '2024-01-01T00:00:00.000Z',
+                    onclick: 'alert(1)'
+                },
+                { id: 2, type: 'image', media_id: '../../etc/passwd', caption: 'Bad' }
+            ],
+            documents: {
+                collections: [
+                    { slug: 'best', title: 'Best', post_ids: [1, 'x'] },
+                    { slug: '"><script>', title: 'Bad', post_ids: [1] }
+                ]
+            }
+        }, { [id]: data });
+
+        const report = await archiver.importArchive(zipFile);
+        assert.deepStrictEqual(report.added, [1]);
+        assert.deepStrictEqual(report.conflicts, [{ id: 2, reason: 'invalid post' }]);
+
+        const post = await storage.getPost(1);
+        assert.strictEqual(post.media_url, `/media/${id}`);
+        assert.strictEqual(post.thumbnail, '');
+        assert.deepStrictEqual(post.variants, { thumb: { url: `/media/${id}`, width: 320, height: 200 } });
+        assert.deepStrictEqual(post.tags, ['beach']);
+        assert.strictEqual(post.onclick, undefined);
+
+        const collections = await storage.readDocument('collections', []);
+        assert.deepStrictEqual(collections.map(c => [c.slug, c.post_ids]), [['best', [1]]]);
+    } finally {
+        await storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});